@@ -0,0 +1,75 @@
+/**
+ * Vercel serverless function: /api/assets/:public_id
+ * (vercel.json rewrites the path to /api/assets?public_id=...; the public_id may contain slashes)
+ *
+ * GET    -> { asset, history? }  (viewer; `history`, newest first, for curators; an asset in the
+ *           trash is 409 IN_TRASH below curator, as with /api/download)
+ * PATCH  { name?, tapYear?, caption?, tags?, folder? } -> { asset, changes }  (curator)
+ *   `tags` replaces the asset's tags (the OCR marker and type tags are kept); an empty tapYear,
+ *   caption or folder clears it. Moving an asset to another folder can change its public_id.
+ * DELETE -> { asset }  (curator) moves the asset to the trash (lib/trash.js); /api/trash restores it
+ *
+ * Optional `resource_type` (image or video) query parameter; without it images are tried first.
+ * Edits and deletes are audited (`asset.update`, `asset.trash`) with the metadata before and after.
+ */
+
+const { getAssetHistory } = require('../lib/asset-history');
+const { assetMetadata } = require('../lib/audit');
+const { loadAsset, PUBLIC_ID_PATTERN, RESOURCE_TYPES, toAsset, updateAsset } = require('../lib/assets');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { createHandler, HttpError } = require('../lib/http');
+const { isInTrash, trashAsset } = require('../lib/trash');
+const { hasRole } = require('../lib/users');
+
+module.exports = createHandler({
+  name: 'Assets',
+  methods: ['GET', 'PATCH', 'DELETE'],
+  role: req => (req.method === 'GET' ? 'viewer' : 'curator'),
+  audit: req => ({ PATCH: 'asset.update', DELETE: 'asset.trash' }[req.method] || null)
+}, async (req, res, { user, audit }) => {
+  const publicId = (req.query.public_id || '').toString().replace(/^\/+|\/+$/g, '');
+  const resourceType = (req.query.resource_type || '').toString() || undefined;
+
+  if (!PUBLIC_ID_PATTERN.test(publicId)) {
+    throw new HttpError(400, 'A valid public_id is required', 'INVALID_PARAMETER');
+  }
+  if (resourceType && !RESOURCE_TYPES.includes(resourceType)) {
+    throw new HttpError(400, `Invalid resource_type. Use one of: ${RESOURCE_TYPES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  // GETs aren't audited, so there is no entry to fill in
+  if (audit) audit.asset = { public_id: publicId, resource_type: resourceType || null };
+  const resource = await loadAsset(publicId, resourceType, config);
+
+  if (req.method !== 'GET') {
+    audit.asset.resource_type = resource.resource_type;
+    audit.before = assetMetadata(toAsset(resource));
+  }
+  if (req.method === 'PATCH') {
+    const result = await updateAsset(resource, req.body, { user, config });
+    audit.after = assetMetadata(result.asset);
+    audit.details = { changed: Object.keys(result.changes) };
+    return res.status(200).json(result);
+  }
+  if (req.method === 'DELETE') {
+    const asset = await trashAsset(resource, { user, config });
+    audit.after = assetMetadata(asset);
+    return res.status(200).json({ asset });
+  }
+
+  // Only curators, who can restore them, see what is in the trash
+  if (!hasRole(user.role, 'curator') && isInTrash(resource)) {
+    throw new HttpError(409, 'The asset is in the trash', 'IN_TRASH');
+  }
+  const body = { asset: toAsset(resource) };
+  if (hasRole(user.role, 'curator')) {
+    body.history = await getAssetHistory().list(publicId);
+  }
+  return res.status(200).json(body);
+});
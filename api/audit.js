@@ -0,0 +1,68 @@
+/**
+ * Vercel serverless function: /api/audit
+ * Search the audit log (lib/audit.js), admin only.
+ *
+ * GET ?public_id=&actor=&action=&outcome=&since=&until=&limit=&next_cursor=
+ *   -> { entries, next_cursor? }  newest first
+ *
+ * `public_id` also matches entries where the asset had that id before or after the action, so an
+ * asset's upload can be found after it was moved. `since` and `until` are dates or ISO times
+ * (`until` is exclusive); `limit` is 100 by default, at most 500. Pass `next_cursor` back for
+ * older entries.
+ */
+
+const { MAX_QUERY_LIMIT, OUTCOMES, queryAudit } = require('../lib/audit');
+const { createHandler, HttpError } = require('../lib/http');
+
+const ACTION_PATTERN = /^[a-z_.]{1,50}$/;
+const CURSOR_PATTERN = /^\d{1,12}$/;
+
+function param(req, key) {
+  return (req.query[key] || '').toString().trim();
+}
+
+function parseTime(value, key) {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new HttpError(400, `${key} must be a date, e.g. 2024-05-01 or 2024-05-01T12:00:00Z`, 'INVALID_PARAMETER');
+  }
+  return new Date(time).toISOString();
+}
+
+module.exports = createHandler({
+  name: 'Audit',
+  methods: ['GET'],
+  role: 'admin'
+}, async (req, res) => {
+  const filters = {
+    public_id: param(req, 'public_id') || undefined,
+    actor: param(req, 'actor') || undefined,
+    action: param(req, 'action') || undefined,
+    outcome: param(req, 'outcome') || undefined,
+    since: parseTime(param(req, 'since'), 'since'),
+    until: parseTime(param(req, 'until'), 'until'),
+    limit: param(req, 'limit') || undefined,
+    cursor: param(req, 'next_cursor') || undefined
+  };
+
+  if (filters.action && !ACTION_PATTERN.test(filters.action)) {
+    throw new HttpError(400, 'Invalid action', 'INVALID_PARAMETER');
+  }
+  if (filters.outcome && !OUTCOMES.includes(filters.outcome)) {
+    throw new HttpError(400, `Invalid outcome. Use one of: ${OUTCOMES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+  if (filters.limit && !(parseInt(filters.limit, 10) >= 1 && parseInt(filters.limit, 10) <= MAX_QUERY_LIMIT)) {
+    throw new HttpError(400, `limit must be between 1 and ${MAX_QUERY_LIMIT}`, 'INVALID_PARAMETER');
+  }
+  if (filters.cursor && !CURSOR_PATTERN.test(filters.cursor)) {
+    throw new HttpError(400, 'Invalid next_cursor', 'INVALID_PARAMETER');
+  }
+
+  const result = await queryAudit(filters);
+  if (!result) {
+    console.error(`The audit sink "${process.env.AUDIT_SINK}" can't be queried; /api/audit needs AUDIT_SINK=file (or a queryable sink)`);
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+  return res.status(200).json(result);
+});
@@ -0,0 +1,68 @@
+/**
+ * Vercel serverless function: /api/bulk
+ * Apply one operation to many assets at once (curator), as a tracked job with a result per asset.
+ *
+ * GET                      - recent bulk jobs, newest first, without their items
+ * GET    ?id=<id>          - one job with every asset's status
+ * POST   { operation, params, assets: [{ public_id, resource_type }] }
+ *                          - create a job and work on its first batch
+ * POST   ?id=<id>          - work on the next batch of a job
+ *
+ * A POST works for up to ~8 seconds and returns the job; while `status` is `running`, POST
+ * `?id=` again. Operations and their params are listed in lib/bulk.js.
+ * Items end up `done`, `skipped` (nothing to change) or `failed` (with `error`).
+ *
+ * POSTs are audited as `bulk.run`; each asset the job changes gets its own entry as well.
+ */
+
+const { createBulkJob, runBulkJob } = require('../lib/bulk');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { createHandler, HttpError } = require('../lib/http');
+const { getJobStore } = require('../lib/jobs');
+
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+module.exports = createHandler({
+  name: 'Bulk',
+  methods: ['GET', 'POST'],
+  role: 'curator',
+  rateLimit: 'bulk',
+  audit: req => (req.method === 'POST' ? 'bulk.run' : null)
+}, async (req, res, { user, audit }) => {
+  const id = (req.query.id || '').toString().trim();
+  if (id && !ID_PATTERN.test(id)) {
+    throw new HttpError(400, 'Invalid id', 'INVALID_PARAMETER');
+  }
+
+  if (req.method === 'GET') {
+    if (!id) {
+      const jobs = await getJobStore().list();
+      return res.status(200).json({ jobs: jobs.filter(job => job.type === 'bulk') });
+    }
+    const job = await getJobStore().get(id);
+    if (!job || job.type !== 'bulk') {
+      throw new HttpError(404, 'Job not found', 'NOT_FOUND');
+    }
+    return res.status(200).json({ job });
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  if (id) {
+    audit.details = { job: id };
+    const job = await runBulkJob(id, { user, config, req });
+    audit.details = { job: id, operation: job.operation, counts: job.counts };
+    return res.status(200).json({ job });
+  }
+
+  const created = await createBulkJob(req.body, user);
+  console.log(`Bulk job ${created.id} (${created.operation}, ${created.items.length} assets) created by ${user.username}`);
+  audit.details = { job: created.id, operation: created.operation, params: created.params, assets: created.items.length };
+  const job = await runBulkJob(created.id, { user, config, req });
+  audit.details.counts = job.counts;
+  return res.status(201).json({ job });
+});
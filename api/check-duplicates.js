@@ -0,0 +1,81 @@
+/**
+ * Vercel serverless function: /api/check-duplicates
+ * Called by the uploader before a batch is sent, to find files that are already in Cloudinary.
+ *
+ * POST { files: [{ key, md5, phash?, bytes }] }  (uploader)
+ *   key   - any string the caller uses to match results to its files
+ *   md5   - hex MD5 of the file, compared with Cloudinary's etag
+ *   phash - hex difference hash of an image, compared with the `phash` context field
+ *   bytes - file size
+ *
+ * -> { source: 'index'|'cloudinary', results: [{ key, matches: [{ public_id, match, distance, ... }] }] }
+ *    `match` is `exact` (same file) or `similar` (same picture, different file).
+ */
+
+const { findInIndex, findLive, MD5_PATTERN, PHASH_PATTERN } = require('../lib/duplicates');
+const { getCloudinaryConfig, CloudinaryApiError } = require('../lib/cloudinary-search');
+const { getSearchIndex } = require('../lib/search-index');
+const { createHandler, HttpError } = require('../lib/http');
+
+const MAX_FILES = 100;
+const MAX_KEY_LENGTH = 200;
+
+function parseFiles(body) {
+  const files = body && body.files;
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new HttpError(400, 'files must be a non-empty array', 'INVALID_PARAMETER');
+  }
+  if (files.length > MAX_FILES) {
+    throw new HttpError(400, `At most ${MAX_FILES} files per request`, 'INVALID_PARAMETER');
+  }
+
+  return files.map((file, i) => {
+    const key = file && file.key !== undefined ? String(file.key) : String(i);
+    const md5 = file && file.md5 ? String(file.md5).toLowerCase() : null;
+    const phash = file && file.phash ? String(file.phash).toLowerCase() : null;
+    const bytes = file && file.bytes !== undefined ? Number(file.bytes) : null;
+
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new HttpError(400, `files[${i}].key is too long`, 'INVALID_PARAMETER');
+    }
+    if (md5 && !MD5_PATTERN.test(md5)) {
+      throw new HttpError(400, `files[${i}].md5 must be 32 hex digits`, 'INVALID_PARAMETER');
+    }
+    if (phash && !PHASH_PATTERN.test(phash)) {
+      throw new HttpError(400, `files[${i}].phash must be 16 hex digits`, 'INVALID_PARAMETER');
+    }
+    if (bytes !== null && !(Number.isInteger(bytes) && bytes >= 0)) {
+      throw new HttpError(400, `files[${i}].bytes must be a non-negative integer`, 'INVALID_PARAMETER');
+    }
+    if (!md5 && !phash) {
+      throw new HttpError(400, `files[${i}] needs an md5 or a phash`, 'INVALID_PARAMETER');
+    }
+    return { key, md5, phash, bytes };
+  });
+}
+
+module.exports = createHandler({ name: 'Check duplicates', methods: ['POST'], role: 'uploader' }, async (req, res) => {
+  const files = parseFiles(req.body);
+
+  // Same rule as /api/search: use the index once it has been synced
+  const index = await getSearchIndex();
+  if (index && index.getMeta().last_synced_at) {
+    return res.status(200).json({ source: 'index', results: findInIndex(index, files) });
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  try {
+    return res.status(200).json({ source: 'cloudinary', results: await findLive(files, config) });
+  } catch (err) {
+    if (err instanceof CloudinaryApiError) {
+      console.error('Cloudinary API error:', err.status, err.body);
+      throw new HttpError(502, 'Duplicate check unavailable', 'UPSTREAM_ERROR');
+    }
+    throw err;
+  }
+});
@@ -0,0 +1,88 @@
+/**
+ * Vercel serverless function: /api/cloudinary-webhook
+ * Receives Cloudinary upload notifications (the `notification_url` set from
+ * UPLOAD_NOTIFICATION_URL, or a webhook configured in the Cloudinary console) and runs OCR
+ * tagging on new images, so direct uploads end up tagged like server-side ones.
+ *
+ * Requests must carry a valid X-Cld-Signature / X-Cld-Timestamp pair, signed with the account's
+ * API secret. Cloudinary retries notifications that don't get a 2xx answer; processing is
+ * idempotent (see lib/ocr.js), so a retry does no harm.
+ */
+
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { createHandler, HttpError } = require('../lib/http');
+const { processAsset } = require('../lib/ocr');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// Notifications older than this are refused, so a captured request can't be replayed later
+const SIGNATURE_MAX_AGE = 2 * 60 * 60; // seconds
+
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(400, 'Notification too large', 'INVALID_PARAMETER'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+function isValidSignature(body, timestamp, signature, apiSecret) {
+  const ts = parseInt(timestamp, 10);
+  if (!ts || !signature || ts < Math.floor(Date.now() / 1000) - SIGNATURE_MAX_AGE) return false;
+
+  const algorithms = signature.length === 64 ? ['sha256'] : ['sha1'];
+  return algorithms.some(algorithm => {
+    const expected = cloudinary.utils.webhook_signature(body, ts, { api_secret: apiSecret, signature_algorithm: algorithm });
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  });
+}
+
+module.exports = createHandler({
+  name: 'Cloudinary webhook',
+  methods: ['POST'],
+  // Called by Cloudinary's servers, not from a page; the signature is the credential
+  checkOrigin: false,
+  // A large batch sends one notification per file; unsigned requests are refused below
+  rateLimit: false
+}, async (req, res) => {
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  const body = await readRawBody(req);
+  if (!isValidSignature(body, req.headers['x-cld-timestamp'], req.headers['x-cld-signature'], config.apiSecret)) {
+    console.warn('Cloudinary webhook: rejected notification with a missing, stale or invalid signature');
+    throw new HttpError(401, 'Invalid signature', 'INVALID_SIGNATURE');
+  }
+
+  let notification;
+  try {
+    notification = JSON.parse(body);
+  } catch (e) {
+    throw new HttpError(400, 'Invalid JSON body', 'INVALID_PARAMETER');
+  }
+
+  // Only new images get OCR tags; everything else (videos, deletes, eager results) is acknowledged
+  const { notification_type: type, resource_type: resourceType, public_id: publicId } = notification;
+  if (type !== 'upload' || resourceType !== 'image' || !publicId || notification.format === 'pdf') {
+    return res.status(200).json({ received: true, processed: false });
+  }
+
+  // The notification carries the upload response, OCR data included, so OCR isn't run twice
+  const result = await processAsset(publicId, { config, ocr: notification.info && notification.info.ocr });
+  return res.status(200).json({ received: true, processed: true, result });
+});
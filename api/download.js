@@ -0,0 +1,95 @@
+/**
+ * Vercel serverless function: /api/download/:public_id
+ * (vercel.json rewrites the path to /api/download?public_id=...; the public_id may contain slashes)
+ *
+ * GET  ?preset=&resource_type=       (viewer) -> the file, as an attachment named after the asset
+ * GET  ?token=<token>                -> the same, through a download link; no session needed
+ * POST { preset?, resource_type? }   (viewer) -> { url, filename, expires_at }, a download link for
+ *                                       a plain <a href> (good for 5 minutes)
+ *
+ * Presets (lib/download.js): original (default), web-1600, thumbnail, mp3, mp4-720p; each one
+ * only for the media types it fits. Range requests are passed through to Cloudinary.
+ *
+ * Downloads are audited as `download`. Ranges that don't start at the beginning (a player
+ * seeking, a resumed download) aren't, so one download is one entry.
+ */
+
+const { PUBLIC_ID_PATTERN, RESOURCE_TYPES, loadAsset, toAsset } = require('../lib/assets');
+const { toActor } = require('../lib/audit');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const {
+  apiOrigin,
+  deliveryUrl,
+  downloadFilename,
+  presetFor,
+  signDownloadToken,
+  streamDownload,
+  verifyDownloadToken
+} = require('../lib/download');
+const { createHandler, HttpError } = require('../lib/http');
+const { isInTrash } = require('../lib/trash');
+
+const isLinkDownload = req => req.method === 'GET' && Boolean(req.query.token);
+const isFromStart = req => !req.headers.range || /^bytes=0-/.test(req.headers.range);
+
+module.exports = createHandler({
+  name: 'Download',
+  methods: ['GET', 'POST'],
+  role: req => (isLinkDownload(req) ? null : 'viewer'),
+  audit: req => (req.method === 'GET' && isFromStart(req) ? 'download' : null)
+}, async (req, res, { user, audit }) => {
+  const publicId = (req.query.public_id || '').toString().replace(/^\/+|\/+$/g, '');
+  if (!PUBLIC_ID_PATTERN.test(publicId)) {
+    throw new HttpError(400, 'A valid public_id is required', 'INVALID_PARAMETER');
+  }
+
+  let actor = user;
+  let resourceType = (req.method === 'POST' ? (req.body || {}).resource_type : req.query.resource_type) || undefined;
+  let presetName = (req.method === 'POST' ? (req.body || {}).preset : req.query.preset) || 'original';
+  if (isLinkDownload(req)) {
+    const { user: linkUser, grant } = await verifyDownloadToken(req.query.token.toString(), { pid: publicId });
+    ({ rt: resourceType, preset: presetName } = grant);
+    actor = linkUser;
+  }
+  if (audit) {
+    audit.actor = toActor(actor);
+    audit.asset = { public_id: publicId, resource_type: resourceType || null };
+    audit.details = { preset: presetName, link: isLinkDownload(req) };
+  }
+
+  if (resourceType !== undefined && !RESOURCE_TYPES.includes(resourceType)) {
+    throw new HttpError(400, `Invalid resource_type. Use one of: ${RESOURCE_TYPES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  const resource = await loadAsset(publicId, resourceType, config);
+  if (isInTrash(resource)) {
+    throw new HttpError(409, 'The asset is in the trash', 'IN_TRASH');
+  }
+  const asset = toAsset(resource);
+  const preset = presetFor(asset, String(presetName));
+  const filename = downloadFilename(asset, preset);
+
+  if (req.method === 'POST') {
+    const { token, expires_at: expiresAt } = signDownloadToken(actor, {
+      pid: resource.public_id,
+      rt: resource.resource_type,
+      preset: preset.name
+    });
+    const path = publicId.split('/').map(encodeURIComponent).join('/');
+    return res.status(200).json({
+      url: `${apiOrigin(req)}/api/download/${path}?token=${encodeURIComponent(token)}`,
+      filename,
+      expires_at: expiresAt
+    });
+  }
+
+  if (audit) audit.asset.resource_type = resource.resource_type;
+  const result = await streamDownload(deliveryUrl(resource, preset, config.cloudName), req, res, filename);
+  if (audit && result.aborted) audit.details.aborted = true;
+});
@@ -0,0 +1,154 @@
+/**
+ * Vercel serverless function: /api/export
+ * Every asset a search or folder matches as one ZIP archive, with a manifest.csv of their
+ * metadata (lib/export.js).
+ *
+ * The search takes /api/search's parameters (q, mode, fuzzy, folder, date_field, from, to; at
+ * least one of q, folder, from or to) and `preset` (lib/download.js; default original).
+ *
+ * GET  ?q=...&preset=...        (viewer) -> the archive, streamed; for up to 25 assets
+ * POST { q, ..., preset }       (viewer) -> { job }, an export job with its first batch done
+ * POST ?id=<id>                 (viewer) -> { job }, after working on the next batch
+ * GET  ?id=<id>                 (viewer) -> { job }
+ * GET  ?id=<id>&token=<token>   -> the finished archive, through job.download.url; no session
+ *                                  needed, and Range requests work
+ *
+ * Jobs are returned without their items, with `failed` listing the assets that couldn't be
+ * exported. While `status` is `running`, POST `?id=` again; once it is done, `download` is
+ * { url, filename, bytes, expires_at }, a link good for 5 minutes (GET `?id=` for a fresh one).
+ * Users see their own exports; curators see everyone's.
+ *
+ * Streamed exports and new jobs are audited as `export`, archive downloads as `export.download`.
+ */
+
+const { toActor } = require('../lib/audit');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { apiOrigin, signDownloadToken, streamFile, verifyDownloadToken } = require('../lib/download');
+const {
+  archivePath,
+  createExportJob,
+  findExportItems,
+  MAX_STREAMED_ASSETS,
+  parseExportRequest,
+  runExportJob,
+  streamExport
+} = require('../lib/export');
+const { createHandler, HttpError } = require('../lib/http');
+const { getJobStore, summarizeJob } = require('../lib/jobs');
+const { hasRole } = require('../lib/users');
+
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+const isLinkDownload = req => req.method === 'GET' && Boolean(req.query.token);
+const isFromStart = req => !req.headers.range || /^bytes=0-/.test(req.headers.range);
+
+function auditAction(req) {
+  if (isLinkDownload(req)) return isFromStart(req) ? 'export.download' : null;
+  return req.query.id ? null : 'export';
+}
+
+// The job for the API: no items, the failed ones listed, and a download link once it is done
+function describeExport(job, user, req) {
+  const described = {
+    ...summarizeJob(job),
+    failed: job.items
+      .filter(item => item.status === 'failed')
+      .map(item => ({ public_id: item.public_id, resource_type: item.resource_type, error: item.error }))
+  };
+  if (job.archive) {
+    const { token, expires_at: expiresAt } = signDownloadToken(user, { export: job.id });
+    described.download = {
+      url: `${apiOrigin(req)}/api/export?id=${job.id}&token=${encodeURIComponent(token)}`,
+      filename: job.archive.filename,
+      bytes: job.archive.bytes,
+      expires_at: expiresAt
+    };
+  }
+  return described;
+}
+
+async function loadExport(id, user) {
+  const job = await getJobStore().get(id);
+  if (!job || job.type !== 'export' || (job.created_by !== user.username && !hasRole(user.role, 'curator'))) {
+    throw new HttpError(404, 'Job not found', 'NOT_FOUND');
+  }
+  return job;
+}
+
+function requireConfig() {
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+  return config;
+}
+
+module.exports = createHandler({
+  name: 'Export',
+  methods: ['GET', 'POST'],
+  role: req => (isLinkDownload(req) ? null : 'viewer'),
+  rateLimit: 'export',
+  audit: auditAction
+}, async (req, res, { user, audit }) => {
+  const id = (req.query.id || '').toString().trim();
+  if (id && !ID_PATTERN.test(id)) {
+    throw new HttpError(400, 'Invalid id', 'INVALID_PARAMETER');
+  }
+
+  if (isLinkDownload(req)) {
+    if (!id) throw new HttpError(400, 'id is required', 'INVALID_PARAMETER');
+    const { user: linkUser } = await verifyDownloadToken(req.query.token.toString(), { export: id });
+    if (audit) {
+      audit.actor = toActor(linkUser);
+      audit.details = { job: id };
+    }
+    const job = await getJobStore().get(id);
+    if (!job || job.type !== 'export' || !job.archive) {
+      throw new HttpError(404, 'Export not found', 'NOT_FOUND');
+    }
+    const result = await streamFile(archivePath(id), req, res, {
+      filename: job.archive.filename,
+      contentType: 'application/zip'
+    });
+    if (audit) {
+      audit.details.bytes = job.archive.bytes;
+      if (result.aborted) audit.details.aborted = true;
+    }
+    return;
+  }
+
+  if (id) {
+    await loadExport(id, user);
+    if (req.method === 'GET') {
+      return res.status(200).json({ job: describeExport(await getJobStore().get(id), user, req) });
+    }
+    const job = await runExportJob(id, { config: requireConfig() });
+    return res.status(200).json({ job: describeExport(job, user, req) });
+  }
+
+  const getParam = name => (req.method === 'GET' ? req.query[name] : (req.body || {})[name]);
+  const request = await parseExportRequest(getParam);
+  const { preset, ...search } = request.params;
+  audit.details = { preset, search };
+  const config = requireConfig();
+
+  if (req.method === 'GET') {
+    const items = await findExportItems(request, { limit: MAX_STREAMED_ASSETS });
+    if (items.length === 0) throw new HttpError(404, 'No assets match this search', 'NOT_FOUND');
+    if (items.length > MAX_STREAMED_ASSETS) {
+      throw new HttpError(400, `More than ${MAX_STREAMED_ASSETS} assets match; POST the same search to export them as a job`, 'EXPORT_TOO_LARGE');
+    }
+    audit.details.assets = items.length;
+    const result = await streamExport(items, preset, res, config);
+    audit.details.failed = result.failed;
+    return;
+  }
+
+  const created = await createExportJob(request, user);
+  console.log(`Export job ${created.id} (${created.items.length} assets, ${preset}) created by ${user.username}`);
+  audit.details.job = created.id;
+  audit.details.assets = created.items.length;
+  const job = await runExportJob(created.id, { config });
+  return res.status(201).json({ job: describeExport(job, user, req) });
+});
@@ -5,53 +5,8 @@
  */
 
 const cloudinary = require('cloudinary').v2;
-
-// Allowed origins for referrer validation
-const ALLOWED_ORIGINS = [
-  'https://www.sigmasigma.org',
-  'https://sigmasigma.org',
-  'http://localhost',
-  'http://localhost:3000'
-];
-
-// Validate request origin
-function isAllowedOrigin(req) {
-  const referer = req.headers.referer || '';
-  const origin = req.headers.origin || '';
-  const host = req.headers.host || '';
-  
-  // Allow localhost requests (for development)
-  if (host.includes('localhost')) {
-    return true;
-  }
-  
-  // Check if referer starts with any allowed origin
-  const refererAllowed = ALLOWED_ORIGINS.some(allowed => referer.startsWith(allowed));
-  const originAllowed = ALLOWED_ORIGINS.some(allowed => origin === allowed);
-  
-  return refererAllowed || originAllowed;
-}
-
-// API key authentication middleware
-function authenticateApiKey(req, res) {
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  const validKey = process.env.UPLOADER_API_KEY;
-
-  if (!validKey) {
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(500);
-    res.end(JSON.stringify({ error: 'Server configuration error' }));
-    return false;
-  }
-
-  if (!apiKey || apiKey !== validKey) {
-    res.setHeader('Content-Type', 'application/json');
-    res.writeHead(401);
-    res.end(JSON.stringify({ error: 'Unauthorized: Invalid or missing API key' }));
-    return false;
-  }
-  return true;
-}
+const { createHandler } = require('../lib/http');
+const { isTrashFolder } = require('../lib/search-query');
 
 // In-memory cache with TTL
 let folderCache = null;
@@ -125,8 +80,9 @@ async function getFoldersFromCloudinary() {
       throw apiError;
     }
 
-    // Convert Set to sorted array
+    // Convert Set to sorted array, without the trash
     const folderArray = Array.from(folders)
+      .filter(folderPath => !isTrashFolder(folderPath))
       .sort((a, b) => a.localeCompare(b))
       .map(folderPath => ({
         path: folderPath,
@@ -152,90 +108,23 @@ async function getFoldersFromCloudinary() {
 }
 
 // Main handler
-module.exports = async (req, res) => {
+module.exports = createHandler({ name: 'Folders', methods: ['GET'], role: 'viewer' }, async (req, res) => {
   console.log('=== Folders Request Started ===');
-  console.log('Method:', req.method);
-  console.log('API Key provided:', !!req.headers['x-api-key']);
   console.log('CLOUDINARY_CLOUD_NAME:', process.env.CLOUDINARY_CLOUD_NAME ? '✓ Set' : '✗ NOT SET');
   console.log('CLOUDINARY_API_KEY:', process.env.CLOUDINARY_API_KEY ? '✓ Set' : '✗ NOT SET');
   console.log('CLOUDINARY_API_SECRET:', process.env.CLOUDINARY_API_SECRET ? '✓ Set' : '✗ NOT SET');
-  console.log('UPLOADER_API_KEY:', process.env.UPLOADER_API_KEY ? '✓ Set' : '✗ NOT SET');
 
-  // Handle OPTIONS requests (preflight) FIRST with proper CORS headers
-  if (req.method === 'OPTIONS') {
-    console.log('Handling OPTIONS request');
-    res.writeHead(200, {
-      'Access-Control-Allow-Origin': 'https://www.sigmasigma.org',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, x-api-key',
-      'Access-Control-Max-Age': '86400'
-    });
-    res.end();
-    return;
-  }
+  const folders = await getFoldersFromCloudinary();
 
-  // Set CORS headers for non-OPTIONS requests
-  res.setHeader('Access-Control-Allow-Origin', 'https://www.sigmasigma.org');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-  res.setHeader('Access-Control-Max-Age', '86400');
+  // Format response with folder paths
+  const folderPaths = folders.map(f => f.path);
 
-  if (req.method !== 'GET') {
-    res.writeHead(405, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
-    return;
-  }
-
-  // Validate origin - reject if not allowed
-  if (!isAllowedOrigin(req)) {
-    res.writeHead(403, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Access denied - invalid origin' }));
-    return;
-  }
-
-  // Validate origin
-  if (!isAllowedOrigin(req)) {
-    res.writeHead(403, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Access denied - invalid origin' }));
-    return;
-  }
-
-  // API key authentication
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  const validKey = process.env.UPLOADER_API_KEY;
-
-  if (!validKey) {
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Server configuration error' }));
-    return;
-  }
-
-  if (!apiKey || apiKey !== validKey) {
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Unauthorized: Invalid or missing API key' }));
-    return;
-  }
+  console.log(`Returning ${folderPaths.length} folders to client`);
+  return res.status(200).json({
+    success: true,
+    folders: folderPaths
+  });
+});
 
-  try {
-    const folders = await getFoldersFromCloudinary();
-    
-    // Format response with folder paths
-    const folderPaths = folders.map(f => f.path);
-    
-    console.log(`Returning ${folderPaths.length} folders to client`);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      success: true,
-      folders: folderPaths
-    }));
-  } catch (error) {
-    console.error('=== ERROR in /api/folders ===');
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      error: error.message || 'Failed to fetch folders',
-      folders: [''] // Return root folder as fallback
-    }));
-  }
-};
+// Shared with /api/suggest, which completes folder names from the same cached list
+module.exports.getFoldersFromCloudinary = getFoldersFromCloudinary;
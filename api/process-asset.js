@@ -0,0 +1,55 @@
+/**
+ * Vercel serverless function: /api/process-asset
+ * Runs OCR tagging (lib/ocr.js) on an image that is already in Cloudinary, e.g. one uploaded
+ * straight from the browser or through the Cloudinary console.
+ *
+ * POST { public_id, force? }  (uploader; `force` re-processes a tagged image and needs curator)
+ * -> { result: { public_id, status: 'processed'|'already_indexed'|'skipped', tags?, text_length? } }
+ *
+ * Idempotent: images already carrying the `ocr_indexed` tag are left alone unless forced.
+ * Audited as `asset.ocr`, since it adds tags to the asset.
+ */
+
+const { requireRole } = require('../lib/auth');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { createHandler, HttpError } = require('../lib/http');
+const { processAsset } = require('../lib/ocr');
+
+const PUBLIC_ID_PATTERN = /^(?!.*\.\.)[\w\- .\/]{1,255}$/;
+
+module.exports = createHandler({
+  name: 'Process asset',
+  methods: ['POST'],
+  role: 'uploader',
+  rateLimit: 'process-asset',
+  audit: 'asset.ocr'
+}, async (req, res, { user, audit }) => {
+  const { public_id: publicId, force } = req.body || {};
+
+  if (typeof publicId !== 'string' || !PUBLIC_ID_PATTERN.test(publicId)) {
+    throw new HttpError(400, 'public_id is required', 'INVALID_PARAMETER');
+  }
+  audit.asset = { public_id: publicId, resource_type: 'image' };
+  audit.details = { force: Boolean(force) };
+  if (force) {
+    // Re-running OCR is billed again and adds tags to an asset someone may have curated
+    requireRole(user, 'curator');
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  try {
+    const result = await processAsset(publicId, { force: Boolean(force), config });
+    audit.details.status = result.status;
+    return res.status(200).json({ result });
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    // Cloudinary API failures; the details stay in the logs
+    console.error('Process asset failed:', publicId, err);
+    throw new HttpError(502, 'OCR processing failed', 'UPSTREAM_ERROR');
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * Vercel serverless function: /api/saved-searches
+ * Named searches for the search page.
+ *
+ * GET                     - list saved searches (viewer)
+ * GET    ?id=<id>         - one saved search
+ * POST   { name, state }  - save a search (curator); state uses the /api/search parameter names
+ *                           (q, mode, fuzzy, folder, sort, order, date_field, from, to)
+ * DELETE ?id=<id>         - remove a saved search (curator)
+ */
+
+const { getSavedSearchStore } = require('../lib/saved-searches');
+const { SEARCH_MODES } = require('../lib/search-params');
+const { parseQuery, QuerySyntaxError } = require('../lib/search-query');
+const { createHandler, HttpError } = require('../lib/http');
+
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+module.exports = createHandler({
+  name: 'Saved searches',
+  methods: ['GET', 'POST', 'DELETE'],
+  // Anyone signed in can use saved searches; changing the shared list needs a curator
+  role: req => (req.method === 'GET' ? 'viewer' : 'curator')
+}, async (req, res, { user }) => {
+  const store = getSavedSearchStore();
+  const id = (req.query.id || '').toString().trim();
+
+  if (id && !ID_PATTERN.test(id)) {
+    throw new HttpError(400, 'Invalid id', 'INVALID_PARAMETER');
+  }
+
+  if (req.method === 'GET') {
+    if (!id) {
+      return res.status(200).json({ searches: await store.list() });
+    }
+    const search = await store.get(id);
+    if (!search) {
+      throw new HttpError(404, 'Saved search not found', 'NOT_FOUND');
+    }
+    return res.status(200).json({ search });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!id) {
+      throw new HttpError(400, 'id is required', 'INVALID_PARAMETER');
+    }
+    if (!(await store.remove(id))) {
+      throw new HttpError(404, 'Saved search not found', 'NOT_FOUND');
+    }
+    return res.status(200).json({ success: true, id });
+  }
+
+  // POST: reject queries /api/search would refuse, so saved links always run
+  const { name, state } = req.body || {};
+  if (state && state.mode && !SEARCH_MODES.includes(String(state.mode).trim())) {
+    throw new HttpError(400, `Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+  if (state && state.q) {
+    try {
+      parseQuery(String(state.q));
+    } catch (err) {
+      if (err instanceof QuerySyntaxError) {
+        throw new HttpError(400, 'Invalid search query', 'QUERY_SYNTAX_ERROR', {
+          message: err.message, position: err.position, token: err.token
+        });
+      }
+      throw err;
+    }
+  }
+  const search = await store.create({ name, state, createdBy: user.username });
+  return res.status(201).json({ search });
+});
@@ -1,177 +1,324 @@
-const btoa = (str) => Buffer.from(str).toString('base64');
-
-// Allowed origins for referrer validation
-const ALLOWED_ORIGINS = [
-  'https://www.sigmasigma.org',
-  'https://sigmasigma.org',
-  'http://localhost',
-  'http://localhost:3000'
-];
-
-// Validate request origin
-function isAllowedOrigin(req) {
-  const referer = req.headers.referer || '';
-  const origin = req.headers.origin || '';
-  const host = req.headers.host || '';
-  
-  // Allow localhost requests (for development)
-  if (host.includes('localhost')) {
-    return true;
-  }
-  
-  // Check if referer starts with any allowed origin
-  const refererAllowed = ALLOWED_ORIGINS.some(allowed => referer.startsWith(allowed));
-  const originAllowed = ALLOWED_ORIGINS.some(allowed => origin === allowed);
-  
-  return refererAllowed || originAllowed;
+const {
+  compileExpression,
+  compilePredicate,
+  andNodes,
+  collectTextTerms,
+  folderOf,
+  mediaTypeOf,
+  FULLTEXT_FIELDS
+} = require('../lib/search-query');
+const { applyFuzzyMatching, BASE_EXPRESSION, InvalidParameterError, parseSearchFilters } = require('../lib/search-params');
+const { searchResources, getCloudinaryConfig, CloudinaryApiError } = require('../lib/cloudinary-search');
+const { getSearchIndex } = require('../lib/search-index');
+const { getOCRIndex } = require('../lib/ocr-index');
+const { createHandler, HttpError } = require('../lib/http');
+
+// `auto` answers from the local search index when one is configured and synced, `live` always asks Cloudinary
+const SEARCH_SOURCES = ['auto', 'live'];
+
+// Bonus for a tag that equals the whole query (the old tags-only behaviour)
+const EXACT_TAG_BONUS = 100;
+
+// How to read each fulltext field from a mapped result
+const RESULT_FIELD_VALUES = {
+  tags: r => r.tags,
+  name: r => r.name,
+  tapYear: r => r.tapYear,
+  caption: r => r.caption,
+  alt: r => r.alt,
+  raw_description: r => r.description,
+  ocr_text: r => r.ocr_text
+};
+
+// Sortable fields. `cloudinary` fields are sorted by the Search API across all pages; context
+// fields can't be sorted by Cloudinary, so live searches sort them within the returned page.
+// Searches answered from the local index are always sorted across the whole result set.
+const SORT_FIELDS = {
+  created_at: { cloudinary: true, defaultOrder: 'desc' },
+  bytes: { cloudinary: true, defaultOrder: 'desc' },
+  tapYear: { cloudinary: false, defaultOrder: 'asc' },
+  name: { cloudinary: false, defaultOrder: 'asc' }
+};
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Sort mapped results by a field; empty values go last
+function sortResultsByField(results, field, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return results.sort((a, b) => {
+    const va = a[field] === undefined || a[field] === null ? '' : a[field];
+    const vb = b[field] === undefined || b[field] === null ? '' : b[field];
+    if (va === '' || vb === '') return (va !== '' ? 0 : 1) - (vb !== '' ? 0 : 1);
+    return direction * String(va).localeCompare(String(vb), undefined, { numeric: true, sensitivity: 'base' });
+  });
 }
 
-module.exports = async (req, res) => {
-  // Handle OPTIONS requests (preflight) FIRST with proper CORS headers
-  if (req.method === 'OPTIONS') {
-    console.log('Handling OPTIONS request for /api/search');
-    res.writeHead(200, {
-      'Access-Control-Allow-Origin': 'https://www.sigmasigma.org',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, x-api-key',
-      'Access-Control-Max-Age': '86400'
+const FACETS = {
+  folder: r => r.folder,
+  year: r => /^\d{4}$/.test(r.tapYear || '') ? r.tapYear : null,
+  type: r => r.media_type,
+  format: r => r.format
+};
+
+// Count mapped results per facet value, most common first
+function computeFacets(results) {
+  const facets = {};
+  for (const [facet, valueOf] of Object.entries(FACETS)) {
+    const counts = new Map();
+    results.forEach(r => {
+      const value = valueOf(r);
+      if (value) counts.set(String(value), (counts.get(String(value)) || 0) + 1);
     });
-    res.end();
-    return;
+    facets[facet] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
   }
+  return facets;
+}
 
-  // Set CORS headers for non-OPTIONS requests
-  res.setHeader('Access-Control-Allow-Origin', 'https://www.sigmasigma.org');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-  res.setHeader('Access-Control-Max-Age', '86400');
+// Score a mapped result by which fields contain the query terms
+function scoreResult(result, terms) {
+  const matchedFields = new Set();
+  let score = 0;
+
+  for (const term of terms) {
+    for (const f of FULLTEXT_FIELDS) {
+      const raw = RESULT_FIELD_VALUES[f.field](result);
+      const values = Array.isArray(raw) ? raw : [raw];
+      const found = values.some(v => v && String(v).toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .some(word => word.startsWith(term)));
+      if (found) {
+        score += f.weight;
+        matchedFields.add(f.field);
+        break;
+      }
+    }
+  }
 
-  // Validate origin - reject if not allowed
-  if (!isAllowedOrigin(req)) {
-    return res.status(403).json({ error: 'Access denied - invalid origin' });
+  const phrase = terms.join(' ');
+  if ((result.tags || []).some(tag => tag.toLowerCase() === phrase)) {
+    score += EXACT_TAG_BONUS;
   }
 
-  // API key authentication
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  const validKey = process.env.UPLOADER_API_KEY;
+  return { score, fields: Array.from(matchedFields) };
+}
 
-  if (!validKey) {
-    console.error('UPLOADER_API_KEY environment variable not set');
-    return res.status(500).json({ error: 'Server configuration error' });
+// Map a Cloudinary (or index) resource to the fields exposed to the browser
+function mapResource(r) {
+  let thumbnailUrl = r.thumbnail_url || null;
+  
+  // If no thumbnail_url from Cloudinary, construct one for videos using .jpg (per Cloudinary API docs)
+  // Cloudinary will serve it as GIF even though the URL uses .jpg
+  if (!thumbnailUrl && r.resource_type === 'video') {
+    const videoUrl = r.secure_url || r.url;
+    if (videoUrl) {
+      // Per Cloudinary docs: https://res.cloudinary.com/[CLOUD_NAME]/video/upload/c_scale,w_300/[PUBLIC_ID].jpg
+      // Remove video file extension, insert transformations after /upload/, then append .jpg
+      const withoutExt = videoUrl.replace(/\.(mp4|mov|avi|mkv|flv|wmv|webm|m4v|mxf|ogv|ts)$/i, '');
+      thumbnailUrl = withoutExt.replace('/video/upload/', '/video/upload/c_scale,w_300,h_300/') + '.jpg';
+    }
   }
 
-  if (!apiKey || apiKey !== validKey) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
+  return {
+    asset_id: r.asset_id,
+    public_id: r.public_id,
+    secure_url: r.secure_url || r.url,
+    thumbnail_url: thumbnailUrl,
+    width: r.width,
+    height: r.height,
+    format: r.format,
+    resource_type: r.resource_type,
+    created_at: r.created_at,
+    tags: r.tags || [],
+    bytes: r.bytes,
+    duration: r.duration,
+    type: r.type,
+    metadata: r.metadata || {},
+    context: r.context || {},
+    alt: r.context?.alt || null,
+    caption: r.context?.caption || null,
+    description: r.context?.raw_description || null,
+    name: r.context?.name || null,
+    tapYear: r.context?.tapYear || null,
+    ocr_text: r.context?.ocr_text || null,
+    folder: folderOf(r) || null,
+    media_type: mediaTypeOf(r)
+  };
+}
+
+// OCR details for a page of results: names with their positions and the full text from the OCR
+// sidecar index, or just the names from the `ocr_names` context for images it doesn't cover.
+// The sidecar is an extra, so a failure to read it is logged and the results go out without it.
+async function attachOCR(results) {
+  let entries = {};
+  try {
+    entries = await getOCRIndex().getMany(results.map(r => r.public_id));
+  } catch (err) {
+    console.error('OCR index error:', err);
   }
 
-  const CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME;
-  const API_KEY = process.env.CLOUDINARY_API_KEY;
-  const API_SECRET = process.env.CLOUDINARY_API_SECRET;
+  results.forEach(r => {
+    const entry = entries[r.public_id];
+    if (entry) {
+      r.ocr = { names: entry.names, processed_at: entry.processed_at };
+      if (entry.text) r.ocr_text = entry.text;
+      return;
+    }
+    const names = r.context?.ocr_names;
+    r.ocr = names
+      ? { names: names.split(';').filter(Boolean).map(name => ({ name, confidence: null, boxes: [] })), processed_at: null }
+      : null;
+  });
+  return results;
+}
+
+// Rank by where the match was found (stable sort keeps the incoming order for ties),
+// then apply an explicit sort, which takes precedence over ranking.
+// `sortAll` is false for live results, whose Cloudinary-sortable fields are already ordered.
+function rankAndSort(results, { mode, terms, sort, order, sortAll }) {
+  if (mode === 'fulltext' && terms.length > 0) {
+    results.forEach(r => { r.match = scoreResult(r, terms); });
+    if (!sort) results.sort((a, b) => b.match.score - a.match.score);
+  }
 
-  if (!CLOUD_NAME || !API_KEY || !API_SECRET) {
-    return res.status(500).json({ error: 'Missing Cloudinary environment variables.' });
+  if (sort && (sortAll || !SORT_FIELDS[sort].cloudinary)) {
+    sortResultsByField(results, sort, order);
   }
+  return results;
+}
+
+// Index cursors are opaque offsets into the ranked result list
+const encodeIndexCursor = (offset) => Buffer.from(`index:${offset}`).toString('base64');
+function decodeIndexCursor(cursor) {
+  if (!cursor) return 0;
+  const match = Buffer.from(cursor, 'base64').toString().match(/^index:(\d+)$/);
+  if (!match) throw new InvalidParameterError('Invalid next_cursor');
+  return parseInt(match[1], 10);
+}
+
+// Answer a search from the local index: filter, rank and sort the whole set, then page
+function searchLocalIndex(index, ast, { mode, terms, sort, order, maxResults, cursor }) {
+  const matches = compilePredicate(ast, { mode });
+  const offset = decodeIndexCursor(cursor);
+
+  const results = rankAndSort(
+    index.all()
+      .filter(r => r.resource_type === 'image' || r.resource_type === 'video')
+      .filter(matches)
+      .map(mapResource),
+    { mode, terms, sort, order, sortAll: true }
+  );
+
+  return {
+    results: results.slice(offset, offset + maxResults),
+    facets: computeFacets(results),
+    facetsScope: 'all',
+    nextCursor: offset + maxResults < results.length ? encodeIndexCursor(offset + maxResults) : undefined,
+    totalCount: results.length
+  };
+}
+
+// Answer a search from the Cloudinary Search API; facets and context sorts cover one page
+async function searchCloudinary(ast, { mode, terms, sort, order, maxResults, cursor }) {
+  const clauses = [BASE_EXPRESSION];
+  if (ast) clauses.push(compileExpression(ast, { mode }));
+
+  const body = {
+    expression: clauses.join(' AND '),
+    max_results: maxResults,
+    // Tags and context are not returned by the Search API unless requested
+    with_field: ['context', 'tags']
+  };
+  if (cursor) body.next_cursor = cursor;
+  if (sort && SORT_FIELDS[sort].cloudinary) body.sort_by = [{ [sort]: order }];
+
+  const data = await searchResources(body);
+  const results = rankAndSort((data.resources || []).map(mapResource), { mode, terms, sort, order, sortAll: false });
+
+  return {
+    results,
+    facets: computeFacets(results),
+    facetsScope: 'page',
+    nextCursor: data.next_cursor,
+    totalCount: data.total_count || results.length
+  };
+}
 
+module.exports = createHandler({ name: 'Search', methods: ['GET', 'POST'], role: 'viewer', rateLimit: 'search' }, async (req, res) => {
   const getParam = (name) => {
     if (req.method === 'GET') return req.query[name];
     if (req.method === 'POST') return (req.body && req.body[name]) || undefined;
     return undefined;
   };
 
-  const q = (getParam('q') || '').toString().trim();
   const next_cursor = (getParam('next_cursor') || '').toString().trim() || undefined;
   const max_results = Math.min(parseInt(getParam('max_results')) || 30, 100); // Default 30, max 100
-  const folder = (getParam('folder') || '').toString().trim() || undefined;
-
-  const escapePhrase = (s) => s.replace(/"/g, '\\"');
-
-  let expression;
-  if (!q && !folder) {
-    // No query and no folder - show all images/videos
-    expression = '(resource_type:image OR resource_type:video)';
-  } else if (q && !folder) {
-    // Query without folder - search all
-    const esc = escapePhrase(q);
-    expression = `(resource_type:image OR resource_type:video) AND tags:"${esc}"`;
-  } else if (!q && folder) {
-    // Folder without query - show all items in folder
-    expression = `(resource_type:image OR resource_type:video) AND folder:"${escapePhrase(folder)}"`;
-  } else {
-    // Both query and folder - search within folder
-    const esc = escapePhrase(q);
-    expression = `(resource_type:image OR resource_type:video) AND tags:"${esc}" AND folder:"${escapePhrase(folder)}"`;
+  const source = (getParam('source') || 'auto').toString().trim().toLowerCase();
+
+  // q, mode, fuzzy, folder, date_field, from and to
+  const { mode, fuzzy, queryAst: parsedQuery, filtersAst } = parseSearchFilters(getParam);
+
+  if (!SEARCH_SOURCES.includes(source)) {
+    throw new InvalidParameterError(`Invalid source. Use one of: ${SEARCH_SOURCES.join(', ')}`);
   }
 
-  const body = {
-    expression,
-    max_results: max_results,
-  };
-  if (next_cursor) body.next_cursor = next_cursor;
+  const sort = (getParam('sort') || '').toString().trim() || undefined;
+  const order = (getParam('order') || '').toString().trim().toLowerCase() || (sort && SORT_FIELDS[sort] ? SORT_FIELDS[sort].defaultOrder : undefined);
+
+  if (sort && !SORT_FIELDS[sort]) {
+    throw new InvalidParameterError(`Invalid sort. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (order && !SORT_ORDERS.includes(order)) {
+    throw new InvalidParameterError(`Invalid order. Use one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  let queryAst = parsedQuery;
+  let suggestions;
+  if (fuzzy && queryAst) {
+    ({ ast: queryAst, suggestions } = await applyFuzzyMatching(queryAst));
+  }
+  const ast = andNodes(queryAst, filtersAst);
+  const terms = collectTextTerms(queryAst);
 
-  const url = `https://api.cloudinary.com/v1_1/${CLOUD_NAME}/resources/search`;
+  const searchOptions = { mode, terms, sort, order, maxResults: max_results, cursor: next_cursor };
 
   try {
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Basic ${btoa(`${API_KEY}:${API_SECRET}`)}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
+    // Prefer the local index when it is configured and has been synced at least once
+    const index = source === 'auto' ? await getSearchIndex() : null;
+    const indexMeta = index ? index.getMeta() : null;
+    const useIndex = Boolean(indexMeta && indexMeta.last_synced_at);
 
-    if (!resp.ok) {
-      const text = await resp.text();
-      // Log full error for debugging, but only return generic error to client
-      console.error('Cloudinary API error:', resp.status, text);
-      return res.status(resp.status).json({ error: 'Search service unavailable' });
+    if (index && !useIndex) {
+      console.warn('Search index is configured but has never been synced - falling back to Cloudinary');
     }
 
-    const data = await resp.json();
-
-    const safeResults = (data.resources || []).map(r => {
-      let thumbnailUrl = r.thumbnail_url || null;
-      
-      // If no thumbnail_url from Cloudinary, construct one for videos using .jpg (per Cloudinary API docs)
-      // Cloudinary will serve it as GIF even though the URL uses .jpg
-      if (!thumbnailUrl && r.resource_type === 'video') {
-        const videoUrl = r.secure_url || r.url;
-        if (videoUrl) {
-          // Per Cloudinary docs: https://res.cloudinary.com/[CLOUD_NAME]/video/upload/c_scale,w_300/[PUBLIC_ID].jpg
-          // Remove video file extension, insert transformations after /upload/, then append .jpg
-          const withoutExt = videoUrl.replace(/\.(mp4|mov|avi|mkv|flv|wmv|webm|m4v|mxf|ogv|ts)$/i, '');
-          thumbnailUrl = withoutExt.replace('/video/upload/', '/video/upload/c_scale,w_300,h_300/') + '.jpg';
-        }
-      }
-      
-      return {
-        asset_id: r.asset_id,
-        public_id: r.public_id,
-        secure_url: r.secure_url || r.url,
-        thumbnail_url: thumbnailUrl,
-        width: r.width,
-        height: r.height,
-        format: r.format,
-        resource_type: r.resource_type,
-        created_at: r.created_at,
-        tags: r.tags || [],
-        bytes: r.bytes,
-        duration: r.duration,
-        type: r.type,
-        metadata: r.metadata || {},
-        context: r.context || {},
-        alt: r.context?.alt || null,
-        caption: r.context?.caption || null,
-        description: r.context?.raw_description || null
-      };
-    });
+    if (!useIndex && !getCloudinaryConfig()) {
+      console.error('Missing Cloudinary environment variables');
+      throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+    }
+
+    const found = useIndex
+      ? searchLocalIndex(index, ast, searchOptions)
+      : await searchCloudinary(ast, searchOptions);
+    await attachOCR(found.results);
 
     return res.status(200).json({
-      results: safeResults,
-      next_cursor: data.next_cursor,
-      total_count: data.total_count || safeResults.length
+      results: found.results,
+      mode,
+      source: useIndex ? 'index' : 'cloudinary',
+      index_synced_at: useIndex ? indexMeta.last_synced_at : undefined,
+      sort: sort ? { field: sort, order } : null,
+      suggestions,
+      facets: found.facets,
+      facets_scope: found.facetsScope,
+      next_cursor: found.nextCursor,
+      total_count: found.totalCount
     });
   } catch (err) {
-    return res.status(500).json({ error: 'Request failed', detail: err.message });
+    if (err instanceof CloudinaryApiError) {
+      // Log full error for debugging, but only return generic error to client
+      console.error('Cloudinary API error:', err.status, err.body);
+      throw new HttpError(502, 'Search service unavailable', 'UPSTREAM_ERROR');
+    }
+    throw err;
   }
-};
+});
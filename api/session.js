@@ -0,0 +1,53 @@
+/**
+ * Vercel serverless function: /api/session
+ * Sign in and check who is signed in.
+ *
+ * POST { username, password } - returns { token, expires_at, user }; send the token as
+ *                               `Authorization: Bearer <token>` on other requests
+ * GET                         - returns { user, expires_at } for the current token
+ *
+ * Signing out is client-side (drop the token); admins can end someone's sessions via /api/users.
+ */
+
+const { getAuthSecret, issueSession, resolveUser, verifySessionToken } = require('../lib/auth');
+const { createHandler, HttpError } = require('../lib/http');
+const { getUserStore, publicUser } = require('../lib/users');
+
+// No role: POST is how you get one, and GET checks the token itself.
+// Sign-ins get their own, much smaller rate limit to slow down password guessing.
+module.exports = createHandler({
+  name: 'Session',
+  methods: ['GET', 'POST'],
+  rateLimit: req => (req.method === 'POST' ? 'session' : 'default')
+}, async (req, res) => {
+  const secret = getAuthSecret();
+  if (!secret) {
+    console.error('AUTH_SECRET environment variable not set or shorter than 32 characters');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  if (req.method === 'GET') {
+    const user = await resolveUser(req);
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const payload = user.legacy ? null : verifySessionToken(token, secret);
+    return res.status(200).json({
+      user: user.legacy ? user : publicUser(user),
+      expires_at: payload ? new Date(payload.exp * 1000).toISOString() : null
+    });
+  }
+
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    throw new HttpError(400, 'username and password are required', 'INVALID_PARAMETER');
+  }
+
+  const user = await getUserStore().verifyCredentials(username, password);
+  if (!user) {
+    // Same answer for unknown users, wrong passwords and disabled accounts
+    throw new HttpError(401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+
+  const session = issueSession(user, secret);
+  console.log(`User ${user.username} signed in (${user.role})`);
+  return res.status(200).json({ ...session, user: publicUser(user) });
+});
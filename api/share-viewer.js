@@ -0,0 +1,22 @@
+/**
+ * Vercel serverless function: /api/share-viewer
+ * Serves the public share viewer (vercel.json rewrites /share here)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHandler } = require('../lib/http');
+
+// Opened by whoever a share link was sent to: no sign-in and no origin check. The page only
+// shows what the link's token grants, through /api/share.
+module.exports = createHandler({ name: 'Share viewer', methods: ['GET'], checkOrigin: false }, async (req, res) => {
+  const htmlPath = path.join(process.cwd(), 'share-viewer.html');
+  const html = fs.readFileSync(htmlPath, 'utf-8');
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  // Keep the page (and the token in its address) out of shared caches and other sites' logs
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  res.writeHead(200);
+  res.end(html);
+});
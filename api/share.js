@@ -0,0 +1,122 @@
+/**
+ * Vercel serverless function: /api/share
+ * Signed, expiring share links to a few assets or a saved search, for people without an account
+ * (lib/share.js). The link opens the public viewer at /share (share-viewer.html).
+ *
+ * POST { assets: [{ public_id, resource_type }] | saved_search: <id>,
+ *        expires_in_days?, download?, title? }   (curator) -> { share: { id, url, token, expires_at, ... } }
+ * GET  ?token=<share token>                      -> { share, assets, truncated }; no session needed
+ * GET  ?file=<file token>                        -> a preview or thumbnail, streamed
+ * GET  ?download=<file token>                    -> an original, as an attachment (only in shares
+ *                                                   that allow downloads)
+ *
+ * Links last 7 days unless expires_in_days (1-30) says otherwise; `download: true` lets the
+ * viewer download originals. Each asset in the listing has thumbnail_url, preview_url and, when
+ * downloads are allowed, download_url. Range requests are passed through to Cloudinary.
+ *
+ * New links are audited as `share.create`, openings as `share.view` and downloads of originals
+ * as `share.download` (not the ranges that don't start at the beginning, as with /api/download).
+ */
+
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { apiOrigin, deliveryUrl, downloadFilename, PRESETS, streamDownload } = require('../lib/download');
+const { createHandler, HttpError } = require('../lib/http');
+const {
+  describeSharedAsset,
+  FILE_TOKEN,
+  findSharedAssets,
+  parseShareRequest,
+  signShare,
+  verifyShareToken
+} = require('../lib/share');
+
+const isFromStart = req => !req.headers.range || /^bytes=0-/.test(req.headers.range);
+
+function auditAction(req) {
+  if (req.method === 'POST') return 'share.create';
+  if (req.query.download) return isFromStart(req) ? 'share.download' : null;
+  return req.query.token ? 'share.view' : null;
+}
+
+function requireConfig() {
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+  return config;
+}
+
+// Stream the file a file token names: a preview (`?file=`) or an original (`?download=`)
+async function sendSharedFile(req, res, audit) {
+  const original = Boolean(req.query.download);
+  const token = (original ? req.query.download : req.query.file).toString();
+  const { claims } = await verifyShareToken(token, FILE_TOKEN);
+  if ((claims.preset === 'original') !== original || !PRESETS[claims.preset]) {
+    throw new HttpError(401, 'This share link has expired or been withdrawn', 'INVALID_SESSION');
+  }
+  if (audit) {
+    audit.asset = { public_id: claims.pid, resource_type: claims.rt };
+    audit.details = { share: claims.share, shared_by: claims.sub };
+  }
+
+  const resource = { public_id: claims.pid, resource_type: claims.rt, format: claims.fmt, version: claims.v };
+  const preset = { name: claims.preset, ...PRESETS[claims.preset] };
+  const url = deliveryUrl(resource, preset, requireConfig().cloudName);
+  const result = await streamDownload(url, req, res, downloadFilename({ ...resource, name: claims.name }, preset));
+  if (audit && result.aborted) audit.details.aborted = true;
+}
+
+module.exports = createHandler({
+  name: 'Share',
+  methods: ['GET', 'POST'],
+  // Shares are opened by people without an account, from wherever the link was sent
+  role: req => (req.method === 'POST' ? 'curator' : null),
+  checkOrigin: req => req.method === 'POST',
+  rateLimit: 'share',
+  audit: auditAction
+}, async (req, res, { user, audit }) => {
+  if (req.method === 'POST') {
+    const request = await parseShareRequest(req.body);
+    const share = signShare(user, request);
+    const scope = request.assets ? { assets: request.assets.length } : { saved_search: request.search.id };
+    audit.details = { share: share.id, ...scope, expires_at: share.expires_at, download: request.download };
+    console.log(`Share ${share.id} created by ${user.username} until ${share.expires_at}`);
+    return res.status(201).json({
+      share: {
+        id: share.id,
+        url: `${apiOrigin(req)}/share#${share.token}`,
+        token: share.token,
+        expires_at: share.expires_at,
+        download: request.download,
+        ...scope
+      }
+    });
+  }
+
+  if (req.query.file || req.query.download) {
+    return sendSharedFile(req, res, audit);
+  }
+
+  if (!req.query.token) {
+    throw new HttpError(400, 'token is required', 'INVALID_PARAMETER');
+  }
+  const { claims } = await verifyShareToken(req.query.token.toString());
+  audit.details = { share: claims.jti, shared_by: claims.sub };
+  requireConfig();
+  const { assets, truncated } = await findSharedAssets(claims);
+  audit.details.assets = assets.length;
+
+  const origin = apiOrigin(req);
+  const fileUrl = (preset, token) => `${origin}/api/share?${preset === 'original' ? 'download' : 'file'}=${encodeURIComponent(token)}`;
+  return res.status(200).json({
+    share: {
+      id: claims.jti,
+      title: claims.title || null,
+      expires_at: new Date(claims.exp * 1000).toISOString(),
+      download: Boolean(claims.dl)
+    },
+    assets: assets.map(asset => describeSharedAsset(claims, asset, fileUrl)),
+    truncated
+  });
+});
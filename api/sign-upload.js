@@ -1,196 +1,129 @@
 /**
  * Generate a signed upload token for direct browser-to-Cloudinary uploads
  * This allows large files to bypass the serverless function payload limit
+ *
+ * POST { type, name, tapYear?, caption?, folder?, tags?, phash?, eager?, public_id? }
+ * Accepts the same metadata as /api/upload (see lib/upload-params.js) and answers with
+ * `params`, the signed form fields to send with the file to `upload_url`.
+ *
+ * `replace: <public_id>` signs an upload that overwrites that asset instead of creating a new
+ * one (curator; used when the uploader replaces a duplicate).
+ *
+ * Each signature issued is audited as `upload.sign`, with the asset it was signed for: the upload
+ * itself goes straight to Cloudinary and never passes through here.
  */
 
-// Allowed origins for referrer validation
-const ALLOWED_ORIGINS = [
-  'https://www.sigmasigma.org',
-  'https://sigmasigma.org',
-  'http://localhost',
-  'http://localhost:3000'
-];
-
-// Validate request origin
-function isAllowedOrigin(req) {
-  const referer = req.headers.referer || '';
-  const origin = req.headers.origin || '';
-  const host = req.headers.host || '';
-  
-  // Allow localhost requests (for development)
-  if (host.includes('localhost')) {
-    return true;
-  }
-  
-  // Check if referer starts with any allowed origin
-  const refererAllowed = ALLOWED_ORIGINS.some(allowed => referer.startsWith(allowed));
-  const originAllowed = ALLOWED_ORIGINS.some(allowed => origin === allowed);
-  
-  return refererAllowed || originAllowed;
-}
-
-module.exports = async (req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
-  }
-
-  // Validate origin
-  if (!isAllowedOrigin(req)) {
-    return res.status(403).json({ error: 'Access denied - invalid origin' });
+const { assetMetadata } = require('../lib/audit');
+const { requireRole } = require('../lib/auth');
+const { createHandler, HttpError } = require('../lib/http');
+const { buildUploadParams } = require('../lib/upload-params');
+
+// Folder path segments and a name; no URL syntax, no `..`
+const REPLACE_PUBLIC_ID_PATTERN = /^(?!.*\.\.)[\w\- .\/]{1,255}$/;
+
+module.exports = createHandler({
+  name: 'Sign upload',
+  methods: ['POST'],
+  role: 'uploader',
+  rateLimit: 'sign-upload',
+  audit: 'upload.sign'
+}, async (req, res, { user, audit }) => {
+  const cloudinary = require('cloudinary').v2;
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const apiKey = process.env.CLOUDINARY_API_KEY;
+  const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+  if (!cloudName || !apiKey || !apiSecret) {
+    const missing = [];
+    if (!cloudName) missing.push('CLOUDINARY_CLOUD_NAME');
+    if (!apiKey) missing.push('CLOUDINARY_API_KEY');
+    if (!apiSecret) missing.push('CLOUDINARY_API_SECRET');
+    console.error(`Missing Cloudinary credentials: ${missing.join(', ')}`);
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
   }
 
-  // API key authentication
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  const validKey = process.env.UPLOADER_API_KEY;
-
-  if (!validKey) {
-    return res.status(500).json({ error: 'Server configuration error' });
-  }
-
-  if (!apiKey || apiKey !== validKey) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key' });
-  }
-
-  try {
-    if (req.method !== 'POST') {
-      if (res.status) {
-        return res.status(405).json({ error: 'Method not allowed' });
-      } else {
-        res.writeHead(405, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify({ error: 'Method not allowed' }));
-      }
-    }
-
-    const cloudinary = require('cloudinary').v2;
-    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
-    const apiKey = process.env.CLOUDINARY_API_KEY;
-    const apiSecret = process.env.CLOUDINARY_API_SECRET;
-
-    if (!cloudName || !apiKey || !apiSecret) {
-      const missing = [];
-      if (!cloudName) missing.push('CLOUDINARY_CLOUD_NAME');
-      if (!apiKey) missing.push('CLOUDINARY_API_KEY');
-      if (!apiSecret) missing.push('CLOUDINARY_API_SECRET');
-      
-      const errorObj = { error: `Missing Cloudinary credentials: ${missing.join(', ')}` };
-      if (res.status) {
-        return res.status(500).json(errorObj);
-      } else {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        return res.end(JSON.stringify(errorObj));
+  // Parse request body
+  const body = await new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk.toString(); });
+    req.on('error', reject);
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (e) {
+        reject(new HttpError(400, 'Invalid JSON body', 'INVALID_PARAMETER'));
       }
-    }
-
-    // Parse request body
-    const body = await new Promise((resolve, reject) => {
-      let data = '';
-      req.on('data', chunk => { data += chunk.toString(); });
-      req.on('error', reject);
-      req.on('end', () => {
-        try {
-          resolve(data ? JSON.parse(data) : {});
-        } catch (e) {
-          reject(new Error(`Invalid JSON: ${e.message}`));
-        }
-      });
     });
+  });
 
-    const { folder, name, isAudio, isPDF } = body;
-
-    cloudinary.config({
-      cloud_name: cloudName,
-      api_key: apiKey,
-      api_secret: apiSecret
-    });
+  const { replace } = body;
+  audit.details = { type: body.type || null, replace: replace || null };
 
-    // Build upload parameters for signing
-    const timestamp = Math.floor(Date.now() / 1000);
-    const public_id = `tap_${Date.now()}_${(name || 'upload').replace(/\s+/g, '_')}`;
-    
-    // Determine resource type based on file type
-    // Note: PDFs are uploaded as 'image' type per Cloudinary documentation
-    let resourceType = 'video'; // default for videos and audio
-    if (isPDF) {
-      resourceType = 'image'; // PDFs are image assets in Cloudinary
-    }
-    
-    // Parameters that will be signed - must match what gets sent to Cloudinary
-    const paramsToSign = {
-      public_id,
-      resource_type: resourceType,
-      timestamp
-    };
-
-    // Add context metadata
-    if (name) {
-      paramsToSign.context = `name=${name}`;
-    }
-
-    // Add tags
-    const tagsList = [];
-    if (name) {
-      tagsList.push(name);
-    }
-    if (isAudio) {
-      tagsList.push('audio');
-    }
-    if (isPDF) {
-      tagsList.push('pdf');
-    }
-    if (tagsList.length > 0) {
-      paramsToSign.tags = tagsList.join(',');
-    }
-
-    // Add folder if specified
-    if (folder) {
-      paramsToSign.folder = folder;
-    }
-
-    console.log('Params to sign:', paramsToSign);
-
-    // Generate signature - must only include specific parameters
-    const signature = cloudinary.utils.api_sign_request(
-      paramsToSign,
-      apiSecret
-    );
-
-    console.log('Generated signature:', signature);
-
-    const responseObj = {
-      success: true,
-      signature,
-      timestamp,
-      public_id,
-      resource_type: resourceType,
-      cloudName,
-      apiKey,
-      context: paramsToSign.context || null,
-      tags: tagsList,
-      folder: folder || null
-    };
-
-    if (res.status) {
-      return res.status(200).json(responseObj);
-    } else {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      return res.end(JSON.stringify(responseObj));
-    }
-
-  } catch (error) {
-    console.error('Sign upload endpoint error:', error);
-    const errorObj = { error: error.message || 'Internal server error' };
-    if (res.status) {
-      return res.status(500).json(errorObj);
-    } else {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      return res.end(JSON.stringify(errorObj));
+  if (replace !== undefined) {
+    // Overwriting an existing asset loses the original, so it takes more than the uploader role
+    requireRole(user, 'curator');
+    if (typeof replace !== 'string' || !REPLACE_PUBLIC_ID_PATTERN.test(replace)) {
+      throw new HttpError(400, 'Invalid replace public_id', 'INVALID_PARAMETER');
     }
   }
-};
+
+  // `type` is one of image/video/audio/pdf; older clients send isImage/isAudio/isPDF flags
+  const type = body.type || (body.isPDF ? 'pdf' : body.isAudio ? 'audio' : body.isImage ? 'image' : 'video');
+
+  // Same validation and parameters as /api/upload, so both paths produce identical assets
+  const { resourceType, params } = buildUploadParams({
+    type,
+    name: body.name,
+    tapYear: body.tapYear,
+    caption: body.caption,
+    folder: body.folder,
+    tags: body.tags,
+    phash: body.phash,
+    eager: body.eager,
+    public_id: body.public_id
+  }, { replace });
+
+  // With fixed folders the `folder` parameter becomes part of the public_id
+  const publicId = params.folder ? `${params.folder}/${params.public_id}` : params.public_id;
+  audit.asset = { public_id: publicId, resource_type: resourceType };
+  audit.after = assetMetadata({
+    public_id: publicId,
+    name: body.name,
+    tapYear: body.tapYear,
+    caption: body.caption,
+    tags: params.tags.split(','),
+    folder: params.folder
+  });
+
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  // Parameters that will be signed - must match what gets sent to Cloudinary.
+  // resource_type is part of the upload URL, not of the signature.
+  const paramsToSign = { ...params, timestamp: Math.floor(Date.now() / 1000) };
+  const signature = cloudinary.utils.api_sign_request(paramsToSign, apiSecret);
+
+  // `params` are the exact form fields to send along with the file
+  const formParams = { api_key: apiKey, signature };
+  Object.entries(paramsToSign).forEach(([key, value]) => { formParams[key] = String(value); });
+
+  return res.status(200).json({
+    success: true,
+    signature,
+    timestamp: paramsToSign.timestamp,
+    public_id: params.public_id,
+    resource_type: resourceType,
+    cloudName,
+    apiKey,
+    upload_url: `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/upload`,
+    params: formParams,
+    context: params.context,
+    tags: params.tags.split(','),
+    folder: params.folder || null,
+    overwrite: Boolean(params.overwrite),
+    invalidate: Boolean(params.invalidate)
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Vercel serverless function: /api/suggest
+ * Autocomplete for the search box: ranked completions for a prefix, drawn from existing
+ * tags, `name` context values and the folder list used by /api/folders.
+ * Results are cached in memory per prefix for a few minutes.
+ */
+
+const { getVocabularyEntries } = require('../lib/vocabulary');
+const { getFoldersFromCloudinary } = require('./folders');
+const { createHandler, HttpError } = require('../lib/http');
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 100;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Names rank above tags, tags above folders, when the match quality is the same
+const TYPE_WEIGHT = { name: 3, tag: 2, folder: 1 };
+
+// In-memory cache keyed by normalized prefix, with TTL and a size cap
+const suggestionCache = new Map();
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+const MAX_CACHE_ENTRIES = 500;
+
+// How well a candidate matches: 2 when the whole text starts with the prefix,
+// 1 when one of its words (or folder path segments) does, 0 otherwise
+function matchQuality(text, prefix) {
+  const lower = text.toLowerCase();
+  if (lower.startsWith(prefix)) return 2;
+  return lower.split(/[\s/_\-]+/).some(word => word.startsWith(prefix)) ? 1 : 0;
+}
+
+async function loadCandidates() {
+  const candidates = (await getVocabularyEntries()).map(entry => ({
+    text: entry.text,
+    type: entry.kind,
+    count: entry.count
+  }));
+
+  try {
+    const folders = await getFoldersFromCloudinary();
+    folders.forEach(folder => candidates.push({ text: folder.path, type: 'folder', count: 1 }));
+  } catch (error) {
+    // Folder completions are optional; tags and names are still useful without them
+    console.warn('Could not load folders for suggestions:', error.message);
+  }
+
+  return candidates;
+}
+
+async function getSuggestions(prefix) {
+  const cached = suggestionCache.get(prefix);
+  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    return cached.suggestions;
+  }
+
+  const ranked = (await loadCandidates())
+    .map(candidate => ({ ...candidate, quality: matchQuality(candidate.text, prefix) }))
+    .filter(candidate => candidate.quality > 0)
+    .sort((a, b) =>
+      b.quality - a.quality ||
+      TYPE_WEIGHT[b.type] - TYPE_WEIGHT[a.type] ||
+      b.count - a.count ||
+      a.text.length - b.text.length ||
+      a.text.localeCompare(b.text)
+    )
+    .slice(0, MAX_LIMIT)
+    .map(({ text, type, count }) => ({ text, type, count }));
+
+  // Drop the oldest entry once the cache is full (Maps iterate in insertion order)
+  if (suggestionCache.size >= MAX_CACHE_ENTRIES) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+  suggestionCache.set(prefix, { timestamp: Date.now(), suggestions: ranked });
+
+  return ranked;
+}
+
+module.exports = createHandler({ name: 'Suggest', methods: ['GET'], role: 'viewer', rateLimit: 'suggest' }, async (req, res) => {
+  const prefix = (req.query.prefix || '').toString().trim().toLowerCase();
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  if (prefix.length > MAX_PREFIX_LENGTH) {
+    throw new HttpError(400, `prefix must be at most ${MAX_PREFIX_LENGTH} characters`, 'INVALID_PARAMETER');
+  }
+
+  // Too short to be useful; answer quickly without touching the vocabulary
+  if (prefix.length < MIN_PREFIX_LENGTH) {
+    return res.status(200).json({ prefix, suggestions: [] });
+  }
+
+  const suggestions = await getSuggestions(prefix);
+  return res.status(200).json({ prefix, suggestions: suggestions.slice(0, limit) });
+});
@@ -0,0 +1,53 @@
+/**
+ * Vercel serverless function: /api/trash
+ * Assets moved to the trash by DELETE /api/assets/:public_id or a bulk delete (curator).
+ *
+ * GET  ?next_cursor=&max_results=      - trashed assets, with `deleted: { at, by, from }`
+ *                                        -> { assets, next_cursor, total_count, retention_days }
+ * POST { public_id, resource_type? }   - restore one to the public_id and folder it had -> { asset }
+ *
+ * Trashed assets are deleted for good after `retention_days` by `npm run purge-trash`.
+ * Restores are audited as `asset.restore`.
+ */
+
+const { loadAsset, PUBLIC_ID_PATTERN, RESOURCE_TYPES, toAsset } = require('../lib/assets');
+const { assetMetadata } = require('../lib/audit');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { createHandler, HttpError } = require('../lib/http');
+const { listTrash, restoreAsset, retentionDays } = require('../lib/trash');
+
+module.exports = createHandler({
+  name: 'Trash',
+  methods: ['GET', 'POST'],
+  role: 'curator',
+  audit: req => (req.method === 'POST' ? 'asset.restore' : null)
+}, async (req, res, { user, audit }) => {
+  const config = getCloudinaryConfig();
+  if (!config) {
+    console.error('Missing Cloudinary environment variables');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  if (req.method === 'GET') {
+    const cursor = (req.query.next_cursor || '').toString().trim() || undefined;
+    const maxResults = Math.min(parseInt(req.query.max_results, 10) || 50, 100);
+    const page = await listTrash({ cursor, maxResults }, config);
+    return res.status(200).json({ ...page, retention_days: retentionDays() });
+  }
+
+  const { public_id: publicId, resource_type: resourceType } = req.body || {};
+  if (typeof publicId !== 'string' || !PUBLIC_ID_PATTERN.test(publicId)) {
+    throw new HttpError(400, 'A valid public_id is required', 'INVALID_PARAMETER');
+  }
+  if (resourceType !== undefined && !RESOURCE_TYPES.includes(resourceType)) {
+    throw new HttpError(400, `Invalid resource_type. Use one of: ${RESOURCE_TYPES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+
+  audit.asset = { public_id: publicId, resource_type: resourceType || null };
+  const resource = await loadAsset(publicId, resourceType, config);
+  audit.asset.resource_type = resource.resource_type;
+  audit.before = assetMetadata(toAsset(resource));
+  const asset = await restoreAsset(resource, { user, config });
+  audit.after = assetMetadata(asset);
+  return res.status(200).json({ asset });
+});
@@ -5,79 +5,16 @@
 
 const fs = require('fs');
 const path = require('path');
-
-// Allowed origins for referrer validation
-const ALLOWED_ORIGINS = [
-  'https://www.sigmasigma.org',
-  'https://sigmasigma.org',
-  'http://localhost',
-  'http://localhost:3000'
-];
-
-// Validate request origin
-function isAllowedOrigin(req) {
-  const referer = req.headers.referer || '';
-  const origin = req.headers.origin || '';
-  const host = req.headers.host || '';
-  
-  // Allow localhost requests (for development)
-  if (host.includes('localhost')) {
-    return true;
-  }
-  
-  // Check if referer starts with any allowed origin
-  const refererAllowed = ALLOWED_ORIGINS.some(allowed => referer.startsWith(allowed));
-  const originAllowed = ALLOWED_ORIGINS.some(allowed => origin === allowed);
-  
-  return refererAllowed || originAllowed;
-}
-
-module.exports = async (req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
-  }
-
-  if (req.method !== 'GET') {
-    res.writeHead(405, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
-    return;
-  }
-
-  // API Key authentication
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  const validKey = process.env.UPLOADER_API_KEY;
-
-  if (!validKey) {
-    console.error('UPLOADER_API_KEY environment variable not set');
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Server configuration error' }));
-    return;
-  }
-
-  if (!apiKey || apiKey !== validKey) {
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Unauthorized: Invalid or missing API key' }));
-    return;
-  }
-
-  try {
-    // Read uploader HTML from project root
-    const htmlPath = path.join(process.cwd(), 'squarespace-uploader.html');
-    const html = fs.readFileSync(htmlPath, 'utf-8');
-    
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.writeHead(200);
-    res.end(html);
-  } catch (error) {
-    console.error('Error serving uploader:', error.message);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Failed to load uploader interface' }));
-  }
-};
+const { createHandler } = require('../lib/http');
+
+// The page itself holds no secrets: it signs in through /api/session, and /api/upload
+// and /api/sign-upload check for the uploader role. Opened directly, so no origin check.
+module.exports = createHandler({ name: 'Uploader page', methods: ['GET'], checkOrigin: false }, async (req, res) => {
+  // Read uploader HTML from project root
+  const htmlPath = path.join(process.cwd(), 'squarespace-uploader.html');
+  const html = fs.readFileSync(htmlPath, 'utf-8');
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.writeHead(200);
+  res.end(html);
+});
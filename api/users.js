@@ -0,0 +1,76 @@
+/**
+ * Vercel serverless function: /api/users
+ * Account management, admin only.
+ *
+ * GET                                          - list users
+ * POST   { username, password, role }          - create a user
+ * PATCH  { username, role?, password?, disabled?, revoke_sessions?, revoke_shares? }
+ *                                              - change a user; password changes, disabling and
+ *                                                revoke_sessions end that user's sessions;
+ *                                                revoke_sessions and revoke_shares withdraw the
+ *                                                share links they made
+ * DELETE ?username=<name>                      - delete a user
+ *
+ * Admins can't demote, disable or delete themselves, so there is always someone left to fix things.
+ */
+
+const { createHandler, HttpError } = require('../lib/http');
+const { getUserStore, publicUser } = require('../lib/users');
+
+module.exports = createHandler({
+  name: 'Users',
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  role: 'admin'
+}, async (req, res, { user: admin }) => {
+  // The legacy shared key never manages accounts, whatever role it was given
+  if (admin.legacy) {
+    throw new HttpError(403, 'Forbidden: sign in with an admin account', 'FORBIDDEN');
+  }
+
+  const store = getUserStore();
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ users: (await store.list()).map(publicUser) });
+  }
+
+  if (req.method === 'POST') {
+    const { username, password, role } = req.body || {};
+    const user = await store.create({ username, password, role: role || 'viewer' });
+    console.log(`User ${user.username} (${user.role}) created by ${admin.username}`);
+    return res.status(201).json({ user: publicUser(user) });
+  }
+
+  const username = ((req.method === 'DELETE' ? req.query.username : (req.body || {}).username) || '').toString().trim().toLowerCase();
+  if (!username) {
+    throw new HttpError(400, 'username is required', 'INVALID_PARAMETER');
+  }
+
+  if (req.method === 'DELETE') {
+    if (username === admin.username) {
+      throw new HttpError(400, 'You cannot delete your own account', 'INVALID_PARAMETER');
+    }
+    if (!(await store.remove(username))) {
+      throw new HttpError(404, `User "${username}" not found`, 'NOT_FOUND');
+    }
+    console.log(`User ${username} deleted by ${admin.username}`);
+    return res.status(200).json({ success: true, username });
+  }
+
+  // PATCH
+  const { role, password, disabled, revoke_sessions, revoke_shares } = req.body || {};
+  if (username === admin.username && ((role && role !== 'admin') || disabled)) {
+    throw new HttpError(400, 'You cannot demote or disable your own account', 'INVALID_PARAMETER');
+  }
+  if (!(await store.get(username))) {
+    throw new HttpError(404, `User "${username}" not found`, 'NOT_FOUND');
+  }
+
+  if (role) await store.setRole(username, role);
+  if (password) await store.setPassword(username, password);
+  if (disabled !== undefined) await store.setDisabled(username, disabled);
+  if (revoke_sessions) await store.revokeSessions(username);
+  else if (revoke_shares) await store.revokeShares(username);
+
+  console.log(`User ${username} updated by ${admin.username}`);
+  return res.status(200).json({ user: publicUser(await store.get(username)) });
+});
@@ -3,19 +3,10 @@
  * Returns the current app version
  */
 
-module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-
-  if (req.method === 'OPTIONS') {
-    return res.writeHead(200);
-  }
-
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+const { createHandler } = require('../lib/http');
 
+// Public: the pages show it before anyone signs in
+module.exports = createHandler({ name: 'Version', methods: ['GET'], checkOrigin: false }, async (req, res) => {
   // Read version from version.json
   try {
     const version = require('../version.json');
@@ -25,4 +16,4 @@ module.exports = async (req, res) => {
     // Fallback version
     return res.status(200).json({ version: '1.0.0' });
   }
-};
+});
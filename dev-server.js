@@ -2,39 +2,105 @@ require('dotenv').config();
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { sendError } = require('./lib/http');
 const searchHandler = require('./api/search.js');
+const suggestHandler = require('./api/suggest.js');
+const savedSearchesHandler = require('./api/saved-searches.js');
+const sessionHandler = require('./api/session.js');
+const usersHandler = require('./api/users.js');
 const uploadHandler = require('./api/upload.js');
 const foldersHandler = require('./api/folders.js');
 const signUploadHandler = require('./api/sign-upload.js');
+const checkDuplicatesHandler = require('./api/check-duplicates.js');
 const downloadPdfHandler = require('./api/download-pdf.js');
-
-// Allowed origins for CORS and security
-const ALLOWED_ORIGINS = [
-  'https://www.sigmasigma.org',
-  'https://sigmasigma.org'
+const versionHandler = require('./api/version.js');
+const processAssetHandler = require('./api/process-asset.js');
+const cloudinaryWebhookHandler = require('./api/cloudinary-webhook.js');
+const assetsHandler = require('./api/assets.js');
+const bulkHandler = require('./api/bulk.js');
+const trashHandler = require('./api/trash.js');
+const auditHandler = require('./api/audit.js');
+const downloadHandler = require('./api/download.js');
+const exportHandler = require('./api/export.js');
+const shareHandler = require('./api/share.js');
+
+// API routes. Every handler is wrapped by lib/http (CORS, origin, auth, error envelope), so
+// the dev server only has to provide what Vercel would: req.query, and req.body for routes
+// that expect a parsed JSON body. The others (`stream`) read the request themselves.
+const API_ROUTES = {
+  '/api/search': { handler: searchHandler },
+  '/api/suggest': { handler: suggestHandler },
+  '/api/saved-searches': { handler: savedSearchesHandler },
+  '/api/session': { handler: sessionHandler },
+  '/api/users': { handler: usersHandler },
+  '/api/folders': { handler: foldersHandler },
+  '/api/version': { handler: versionHandler },
+  '/api/check-duplicates': { handler: checkDuplicatesHandler },
+  '/api/process-asset': { handler: processAssetHandler },
+  '/api/assets': { handler: assetsHandler },
+  '/api/bulk': { handler: bulkHandler },
+  '/api/trash': { handler: trashHandler },
+  '/api/audit': { handler: auditHandler },
+  '/api/download': { handler: downloadHandler },
+  '/api/export': { handler: exportHandler },
+  '/api/share': { handler: shareHandler },
+  '/api/upload': { handler: uploadHandler, stream: true },
+  '/api/sign-upload': { handler: signUploadHandler, stream: true },
+  '/api/download-pdf': { handler: downloadPdfHandler, stream: true },
+  // Reads the raw body: the signature covers the exact bytes Cloudinary sent
+  '/api/cloudinary-webhook': { handler: cloudinaryWebhookHandler, stream: true }
+};
+
+// Path parameters, passed as query parameters like the rewrites in vercel.json do
+const API_REWRITES = [
+  { prefix: '/api/assets/', route: '/api/assets', param: 'public_id' },
+  { prefix: '/api/download/', route: '/api/download', param: 'public_id' }
 ];
 
-// Add localhost for development
-if (process.env.NODE_ENV !== 'production') {
-  ALLOWED_ORIGINS.push('http://localhost', 'http://localhost:3000');
+function rewriteApiPath(pathname, query) {
+  const rewrite = API_REWRITES.find(r => pathname.startsWith(r.prefix));
+  if (!rewrite) return pathname;
+  query[rewrite.param] = decodeURIComponent(pathname.slice(rewrite.prefix.length));
+  return rewrite.route;
 }
 
-function isOriginAllowed(origin) {
-  if (!origin) return false;
-  return ALLOWED_ORIGINS.some(allowed => origin === allowed || origin.startsWith(allowed));
+function runHandler(route, req, res, pathname) {
+  const run = () => route.handler(req, res).catch(err => {
+    // lib/http answers handler errors itself; this only catches bugs in the wrapper
+    console.error(`${pathname} handler error:`, err);
+    if (!res.headersSent) {
+      sendError(res, 500, 'Internal server error', 'INTERNAL_ERROR');
+    }
+  });
+
+  if (route.stream || req.method === 'GET' || req.method === 'OPTIONS') {
+    run();
+    return;
+  }
+
+  // Buffer and parse a JSON body, as Vercel does for req.body
+  let raw = '';
+  req.on('data', chunk => raw += chunk);
+  req.on('end', () => {
+    try {
+      req.body = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      sendError(res, 400, 'Invalid JSON body', 'INVALID_PARAMETER');
+      return;
+    }
+    run();
+  });
 }
 
 const server = http.createServer((req, res) => {
   const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  const pathname = parsedUrl.pathname;
-  const method = req.method;
-  const origin = req.headers.origin || req.headers.referer || '';
 
   // Parse query parameters (Vercel compatibility)
   req.query = {};
   for (const [key, value] of parsedUrl.searchParams.entries()) {
     req.query[key] = value;
   }
+  const pathname = rewriteApiPath(parsedUrl.pathname, req.query);
 
   // Security headers (apply to all responses)
   res.setHeader('X-Content-Type-Options', 'nosniff');
@@ -42,19 +108,6 @@ const server = http.createServer((req, res) => {
   res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
   res.setHeader('Content-Security-Policy', "default-src 'self'; img-src 'self' https://res.cloudinary.com https://cloudinary-search.vercel.app; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'");
 
-  // CORS headers (only for allowed origins)
-  if (isOriginAllowed(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-api-key');
-  }
-
-  if (method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
-  }
-
   // Health check endpoint
   if (pathname === '/health') {
     res.setHeader('Content-Type', 'application/json');
@@ -63,156 +116,9 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // Version endpoint
-  if (pathname === '/api/version') {
-    try {
-      const versionData = JSON.parse(fs.readFileSync(path.join(__dirname, 'version.json'), 'utf8'));
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(200);
-      res.end(JSON.stringify(versionData));
-    } catch (err) {
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: 'Could not read version file' }));
-    }
-    return;
-  }
-
   // Route to appropriate handler
-  if (pathname === '/api/search') {
-    let raw = '';
-    req.on('data', chunk => raw += chunk);
-    req.on('end', async () => {
-      let parsedBody = null;
-      try { parsedBody = raw ? JSON.parse(raw) : null; } catch (e) { parsedBody = null; }
-
-      const query = Object.fromEntries(parsedUrl.searchParams);
-      const vreq = {
-        method,
-        query,
-        body: parsedBody,
-        headers: req.headers
-      };
-
-      const vres = {
-        headers: {},
-        statusCode: 200,
-        status(code) { this.statusCode = code; return this; },
-        setHeader(k, v) { this.headers[k] = v; res.setHeader(k, v); },
-        json(obj) { res.setHeader('Content-Type', 'application/json'); res.writeHead(this.statusCode || 200); res.end(JSON.stringify(obj)); },
-        end() { res.end(); }
-      };
-
-      try {
-        await searchHandler(vreq, vres);
-      } catch (err) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
-
-  } else if (pathname === '/api/upload') {
-    // Wrap response with necessary methods for upload handler
-    const vres = res;
-    
-    // Ensure status method exists
-    if (!vres.status) {
-      vres.status = function(code) {
-        this.statusCode = code;
-        return this;
-      };
-    }
-    
-    // Ensure json method exists
-    if (!vres.json) {
-      vres.json = function(obj) {
-        this.setHeader('Content-Type', 'application/json');
-        this.writeHead(this.statusCode || 200);
-        this.end(JSON.stringify(obj));
-      };
-    }
-    
-    // Call handler and catch any errors
-    uploadHandler(req, vres).catch(err => {
-      console.error('Upload handler error:', err.message);
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
-
-  } else if (pathname === '/api/folders') {
-    // Wrap response with necessary methods for folders handler
-    const vres = res;
-    
-    // Ensure status method exists
-    if (!vres.status) {
-      vres.status = function(code) {
-        this.statusCode = code;
-        return this;
-      };
-    }
-    
-    // Ensure json method exists
-    if (!vres.json) {
-      vres.json = function(obj) {
-        this.setHeader('Content-Type', 'application/json');
-        this.writeHead(this.statusCode || 200);
-        this.end(JSON.stringify(obj));
-      };
-    }
-    
-    // Call handler and catch any errors
-    foldersHandler(req, vres).catch(err => {
-      console.error('Folders handler error:', err.message);
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
-
-  } else if (pathname === '/api/sign-upload') {
-    // Wrap response with necessary methods for sign-upload handler
-    const vres = res;
-    
-    // Ensure status method exists
-    if (!vres.status) {
-      vres.status = function(code) {
-        this.statusCode = code;
-        return this;
-      };
-    }
-    
-    // Ensure json method exists
-    if (!vres.json) {
-      vres.json = function(obj) {
-        this.setHeader('Content-Type', 'application/json');
-        this.writeHead(this.statusCode || 200);
-        this.end(JSON.stringify(obj));
-      };
-    }
-    
-    // Call handler and catch any errors
-    signUploadHandler(req, vres).catch(err => {
-      console.error('Sign upload handler error:', err.message);
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
-
-  } else if (pathname === '/api/download-pdf') {
-    // Wrap response with necessary methods for download-pdf handler
-    const vres = res;
-    
-    // Call handler and catch any errors
-    downloadPdfHandler(req, vres).catch(err => {
-      console.error('Download PDF handler error:', err.message);
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-    });
+  if (API_ROUTES[pathname]) {
+    runHandler(API_ROUTES[pathname], req, res, pathname);
 
   } else if (pathname === '/' || pathname === '/search') {
     // Serve search page
@@ -240,6 +146,19 @@ const server = http.createServer((req, res) => {
       res.end(data);
     });
 
+  } else if (pathname === '/share') {
+    // Serve the public share viewer
+    const filePath = path.join(__dirname, 'share-viewer.html');
+    fs.readFile(filePath, 'utf8', (err, data) => {
+      if (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Error loading share viewer');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(data);
+    });
+
   } else {
     // Try to serve static files
     const filePath = path.join(__dirname, pathname);
@@ -251,6 +170,15 @@ const server = http.createServer((req, res) => {
       return;
     }
 
+    // Never serve the stores under data/ (password hashes, audit log, exports) or dotfiles
+    // such as .env
+    const segments = path.relative(__dirname, filePath).split(path.sep);
+    if (segments[0] === 'data' || segments.some(segment => segment.startsWith('.'))) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not Found' }));
+      return;
+    }
+
     fs.stat(filePath, (err, stats) => {
       if (err || !stats.isFile()) {
         res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -298,11 +226,26 @@ server.listen(port, () => {
   console.log(`║  • http://localhost:${port}/search     → Search Page             ║`);
   console.log(`║  • http://localhost:${port}/upload     → Bulk Uploader           ║`);
   console.log(`║  • http://localhost:${port}/uploader   → Bulk Uploader           ║`);
+  console.log(`║  • http://localhost:${port}/share      → Share Viewer            ║`);
   console.log('╠══════════════════════════════════════════════════════════════════╣');
   console.log('║ APIs:                                                            ║');
   console.log(`║  • http://localhost:${port}/api/search       → Search API         ║`);
+  console.log(`║  • http://localhost:${port}/api/suggest      → Autocomplete       ║`);
+  console.log(`║  • http://localhost:${port}/api/saved-searches → Saved Searches   ║`);
+  console.log(`║  • http://localhost:${port}/api/session      → Sign In            ║`);
+  console.log(`║  • http://localhost:${port}/api/users        → Manage Users       ║`);
   console.log(`║  • http://localhost:${port}/api/upload       → Upload API         ║`);
   console.log(`║  • http://localhost:${port}/api/sign-upload  → Sign Upload Token  ║`);
+  console.log(`║  • http://localhost:${port}/api/check-duplicates → Duplicates     ║`);
+  console.log(`║  • http://localhost:${port}/api/process-asset → OCR Tagging       ║`);
+  console.log(`║  • http://localhost:${port}/api/cloudinary-webhook → Webhook      ║`);
+  console.log(`║  • http://localhost:${port}/api/assets/:id  → Asset Metadata     ║`);
+  console.log(`║  • http://localhost:${port}/api/bulk         → Bulk Operations    ║`);
+  console.log(`║  • http://localhost:${port}/api/trash        → Trash & Restore    ║`);
+  console.log(`║  • http://localhost:${port}/api/audit        → Audit Log          ║`);
+  console.log(`║  • http://localhost:${port}/api/download/:id → Download Files    ║`);
+  console.log(`║  • http://localhost:${port}/api/export       → Export ZIP         ║`);
+  console.log(`║  • http://localhost:${port}/api/share        → Share Links        ║`);
   console.log(`║  • http://localhost:${port}/api/folders      → List Folders       ║`);
   console.log(`║  • http://localhost:${port}/api/version      → Version Info       ║`);
   console.log('╠══════════════════════════════════════════════════════════════════╣');
@@ -0,0 +1,57 @@
+/**
+ * Who changed what on an asset, as recorded by /api/assets edits.
+ *
+ * Stored as a flat JSON file (ASSET_HISTORY_PATH, default data/asset-history.json), see
+ * lib/json-file.js, with the most recent MAX_ENTRIES_PER_ASSET entries per public_id.
+ * Vercel's filesystem is ephemeral, so production deployments should point ASSET_HISTORY_PATH
+ * at persistent storage.
+ *
+ * An entry: { at, by, changes: { <field>: { from, to } | { added, removed } } }
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_HISTORY_PATH = path.join(process.cwd(), 'data', 'asset-history.json');
+const HISTORY_VERSION = 1;
+const MAX_ENTRIES_PER_ASSET = 100;
+
+function createAssetHistory(options = {}) {
+  const filePath = options.path || process.env.ASSET_HISTORY_PATH || DEFAULT_HISTORY_PATH;
+  const file = createJsonFile(filePath, { version: HISTORY_VERSION, label: 'asset history', empty: () => ({ assets: {} }) });
+
+  return {
+    filePath,
+
+    // Newest first
+    async list(publicId) {
+      const { assets } = await file.read();
+      return (assets[publicId] || []).slice().reverse();
+    },
+
+    // Add an entry; when the change renamed the asset, its history moves to the new public_id
+    async record(publicId, { by, changes }) {
+      const renamedTo = changes.public_id && changes.public_id.to;
+      const entry = { at: new Date().toISOString(), by, changes };
+      await file.update(({ assets }) => {
+        const next = { ...assets };
+        const entries = (next[publicId] || []).concat(entry);
+        if (renamedTo) delete next[publicId];
+        next[renamedTo || publicId] = entries.slice(-MAX_ENTRIES_PER_ASSET);
+        return { assets: next };
+      });
+    }
+  };
+}
+
+let sharedHistory = null;
+
+function getAssetHistory() {
+  if (!sharedHistory) sharedHistory = createAssetHistory();
+  return sharedHistory;
+}
+
+module.exports = {
+  createAssetHistory,
+  getAssetHistory
+};
@@ -0,0 +1,293 @@
+/**
+ * Reading and editing one asset's metadata, for /api/assets.
+ *
+ * Editable: `name`, `tapYear` and `caption` (context fields), `tags` and `folder`. Values are
+ * validated like upload metadata (lib/upload-params.js). Tags the app manages itself (the OCR
+ * marker and the `audio`/`pdf` type tags) are kept whatever the edit says.
+ *
+ * Folders: on accounts with dynamic folders the asset's `asset_folder` is updated. Otherwise the
+ * folder is part of the public_id, so moving an asset renames it. The local search index and the
+ * OCR sidecar index are updated to match, and every change is recorded in lib/asset-history.js.
+ *
+ * Used one asset at a time by /api/assets and, through lib/bulk.js, for many at once by /api/bulk.
+ * Deleting, restoring and purging are in lib/trash.js.
+ */
+
+const { getResource, renameResource, updateResource, CloudinaryApiError } = require('./cloudinary-search');
+const { getAssetHistory } = require('./asset-history');
+const { HttpError } = require('./http-error');
+const { getOCRIndex } = require('./ocr-index');
+const { OCR_MARKER_TAG } = require('./ocr');
+const { folderOf, isTrashFolder, mediaTypeOf } = require('./search-query');
+const { getSearchIndex, toIndexDocument } = require('./search-index');
+const {
+  escapeContextValue,
+  MAX_CAPTION_LENGTH,
+  MAX_NAME_LENGTH,
+  optionalString,
+  parseFolder,
+  parseName,
+  parseTags,
+  parseTapYear
+} = require('./upload-params');
+
+// public_ids as the app creates them (folders included), without `..`
+const PUBLIC_ID_PATTERN = /^(?!.*\.\.)[\w\- .\/]{1,255}$/;
+const RESOURCE_TYPES = ['image', 'video'];
+const EDITABLE_FIELDS = ['name', 'tapYear', 'caption', 'tags', 'folder'];
+const CONTEXT_FIELDS = ['name', 'tapYear', 'caption'];
+const PROTECTED_TAGS = [OCR_MARKER_TAG, 'audio', 'pdf'];
+
+function contextOf(resource) {
+  const context = resource.context || {};
+  return { ...(context.custom ? context.custom : context) };
+}
+
+// What the API returns for an asset
+function toAsset(resource) {
+  const context = contextOf(resource);
+  return {
+    public_id: resource.public_id,
+    resource_type: resource.resource_type,
+    media_type: mediaTypeOf(resource),
+    format: resource.format,
+    secure_url: resource.secure_url || resource.url,
+    width: resource.width,
+    height: resource.height,
+    bytes: resource.bytes,
+    created_at: resource.created_at,
+    folder: folderOf(resource) || '',
+    tags: resource.tags || [],
+    name: context.name || null,
+    tapYear: context.tapYear || null,
+    caption: context.caption || null,
+    deleted: context.deleted_at
+      ? { at: context.deleted_at, by: context.deleted_by || null, from: context.deleted_from || null }
+      : null,
+    context
+  };
+}
+
+// The `context` parameter for an Admin API update: every field of `context`, and the `cleared`
+// ones sent empty so Cloudinary drops them
+function contextParam(context, cleared = []) {
+  return Object.entries(context)
+    .map(([key, value]) => `${key}=${escapeContextValue(value)}`)
+    .concat(cleared.map(field => `${field}=`))
+    .join('|');
+}
+
+// Cloudinary errors as API errors; anything else is passed through
+function toHttpError(err, notFoundMessage) {
+  if (!(err instanceof CloudinaryApiError)) return err;
+  if (err.status === 404) return new HttpError(404, notFoundMessage, 'NOT_FOUND');
+  if (err.status === 409) return new HttpError(409, 'An asset with that name already exists in the folder', 'DUPLICATE_NAME');
+  console.error('Cloudinary API error:', err.status, err.body);
+  return new HttpError(502, 'Cloudinary request failed', 'UPSTREAM_ERROR');
+}
+
+/**
+ * The asset with this public_id. Without `resourceType`, images are looked up first, then videos.
+ * @throws {HttpError} 404 NOT_FOUND
+ */
+async function loadAsset(publicId, resourceType, config) {
+  const types = resourceType ? [resourceType] : RESOURCE_TYPES;
+  for (const type of types) {
+    try {
+      return await getResource(type, publicId, config);
+    } catch (err) {
+      if (!(err instanceof CloudinaryApiError && err.status === 404)) throw toHttpError(err, 'Asset not found');
+    }
+  }
+  throw new HttpError(404, 'Asset not found', 'NOT_FOUND');
+}
+
+// Validate a PATCH body into the fields it changes. Empty name is refused; empty tapYear,
+// caption or folder clear the field.
+function parseChanges(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Body must be a JSON object', 'INVALID_PARAMETER');
+  }
+  const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(', ')}. Editable: ${EDITABLE_FIELDS.join(', ')}`, 'INVALID_PARAMETER');
+  }
+
+  const changes = {};
+  if ('name' in body) {
+    if (!optionalString(body.name, 'name', MAX_NAME_LENGTH)) throw new HttpError(400, 'name cannot be empty', 'INVALID_PARAMETER');
+    changes.name = parseName(body.name);
+  }
+  if ('tapYear' in body) changes.tapYear = parseTapYear(body.tapYear);
+  if ('caption' in body) changes.caption = optionalString(body.caption, 'caption', MAX_CAPTION_LENGTH);
+  if ('tags' in body) changes.tags = parseTags(body.tags);
+  if ('folder' in body) changes.folder = parseFolder(body.folder) || '';
+  return changes;
+}
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// The new tag list: as given (plus the protected tags), or the old one with the name tag renamed
+function nextTags(resource, changes, oldName) {
+  const current = resource.tags || [];
+  let tags;
+  if (changes.tags) {
+    tags = changes.tags.slice();
+    current.filter(tag => PROTECTED_TAGS.includes(tag)).forEach(tag => {
+      if (!tags.some(t => sameTag(t, tag))) tags.push(tag);
+    });
+  } else {
+    tags = current.slice();
+  }
+  if (changes.name && oldName && changes.name !== oldName) {
+    tags = tags.map(tag => (sameTag(tag, oldName) ? changes.name : tag));
+  }
+  // Drop repeats, keeping the first spelling
+  return tags.filter((tag, i) => tags.findIndex(t => sameTag(t, tag)) === i);
+}
+
+/**
+ * Apply validated changes to an asset and record them.
+ *
+ * @param {object} resource - the asset as returned by getResource
+ * @param {object} body - PATCH body
+ * @param {object} options - { user, config }
+ * @returns {Promise<{ asset: object, changes: object }>} `changes` is empty when nothing differed
+ */
+async function updateAsset(resource, body, { user, config }) {
+  if (isTrashFolder(folderOf(resource))) {
+    throw new HttpError(409, 'Restore the asset from the trash before editing it', 'IN_TRASH');
+  }
+  const edits = parseChanges(body);
+  const resourceType = resource.resource_type;
+  const context = contextOf(resource);
+  const recorded = {};
+
+  CONTEXT_FIELDS.forEach(field => {
+    if (!(field in edits) || (edits[field] || null) === (context[field] || null)) return;
+    recorded[field] = { from: context[field] || null, to: edits[field] };
+    if (edits[field]) context[field] = edits[field];
+    else delete context[field];
+  });
+
+  const tags = nextTags(resource, edits, recorded.name ? recorded.name.from : null);
+  const added = tags.filter(tag => !(resource.tags || []).includes(tag));
+  const removed = (resource.tags || []).filter(tag => !tags.includes(tag));
+  if (added.length > 0 || removed.length > 0) recorded.tags = { added, removed };
+
+  const oldFolder = folderOf(resource) || '';
+  const dynamicFolders = resource.asset_folder !== undefined;
+  let publicId = resource.public_id;
+  if ('folder' in edits && edits.folder !== oldFolder) {
+    recorded.folder = { from: oldFolder, to: edits.folder };
+    if (!dynamicFolders) {
+      const baseName = publicId.slice(publicId.lastIndexOf('/') + 1);
+      publicId = edits.folder ? `${edits.folder}/${baseName}` : baseName;
+      recorded.public_id = { from: resource.public_id, to: publicId };
+    }
+  }
+
+  if (Object.keys(recorded).length === 0) {
+    return { asset: toAsset(resource), changes: {} };
+  }
+
+  const params = {};
+  if (CONTEXT_FIELDS.some(field => recorded[field])) {
+    params.context = contextParam(context, CONTEXT_FIELDS.filter(field => recorded[field] && !recorded[field].to));
+  }
+  if (recorded.tags) params.tags = tags.join(',');
+  if (recorded.folder && dynamicFolders) params.asset_folder = edits.folder;
+
+  // Rename first: it is the step that can be refused (name taken), and tags and context move with it
+  let renamed = false;
+  try {
+    if (recorded.public_id) {
+      await renameResource(resourceType, resource.public_id, publicId, config);
+      renamed = true;
+    }
+    if (Object.keys(params).length > 0) {
+      await updateResource(resourceType, publicId, params, config);
+    }
+  } catch (err) {
+    if (renamed) {
+      // The move went through, so it belongs in the history even though the rest failed
+      await getAssetHistory().record(resource.public_id, {
+        by: user.username,
+        changes: { folder: recorded.folder, public_id: recorded.public_id }
+      });
+      await refreshIndexes(resource.public_id, await loadAsset(publicId, resourceType, config));
+    }
+    throw toHttpError(err, 'Asset not found');
+  }
+
+  const updated = await loadAsset(publicId, resourceType, config);
+  await getAssetHistory().record(resource.public_id, { by: user.username, changes: recorded });
+  await refreshIndexes(resource.public_id, updated);
+  console.log(`Asset ${resource.public_id} edited by ${user.username}: ${Object.keys(recorded).join(', ')}`);
+  return { asset: toAsset(updated), changes: recorded };
+}
+
+// Keep the local indexes in step, so the edit shows up in searches before the next sync.
+// Trashed assets leave the search index but keep their OCR entry, for when they are restored.
+// Failures are logged only: the edit itself has been saved in Cloudinary.
+async function refreshIndexes(oldPublicId, resource) {
+  try {
+    const index = await getSearchIndex();
+    if (index) {
+      const trashed = isTrashFolder(folderOf(resource));
+      if (oldPublicId !== resource.public_id || trashed) index.remove([oldPublicId]);
+      if (!trashed) index.upsert([toIndexDocument(resource)]);
+      await index.flush();
+    }
+    if (oldPublicId !== resource.public_id) {
+      await getOCRIndex().rename(oldPublicId, resource.public_id);
+    }
+  } catch (err) {
+    console.error('Failed to update local indexes after an edit:', err);
+  }
+}
+
+/**
+ * A list of assets from a request body ({ public_id, resource_type }, resource_type defaulting to
+ * image), validated and without repeats. Used for bulk jobs and share links.
+ * @throws {HttpError} 400 INVALID_PARAMETER
+ */
+function parseAssetList(assets, maxAssets) {
+  const invalid = message => new HttpError(400, message, 'INVALID_PARAMETER');
+  if (!Array.isArray(assets) || assets.length === 0) {
+    throw invalid('assets must be a non-empty list of { public_id, resource_type }');
+  }
+  if (assets.length > maxAssets) {
+    throw invalid(`At most ${maxAssets} assets at a time`);
+  }
+
+  const items = [];
+  const seen = new Set();
+  assets.forEach(asset => {
+    const publicId = asset && typeof asset.public_id === 'string' ? asset.public_id : '';
+    const resourceType = asset && asset.resource_type ? asset.resource_type : 'image';
+    if (!PUBLIC_ID_PATTERN.test(publicId)) throw invalid(`Invalid public_id: ${publicId.substring(0, 100)}`);
+    if (!RESOURCE_TYPES.includes(resourceType)) throw invalid(`Invalid resource_type for ${publicId}`);
+    const key = `${resourceType}:${publicId}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    items.push({ public_id: publicId, resource_type: resourceType });
+  });
+  return items;
+}
+
+module.exports = {
+  contextOf,
+  contextParam,
+  EDITABLE_FIELDS,
+  loadAsset,
+  parseAssetList,
+  parseChanges,
+  PROTECTED_TAGS,
+  PUBLIC_ID_PATTERN,
+  refreshIndexes,
+  RESOURCE_TYPES,
+  toAsset,
+  toHttpError,
+  updateAsset
+};
@@ -0,0 +1,292 @@
+/**
+ * Audit log: an append-only record of who uploaded, edited, downloaded and deleted what, kept
+ * apart from the function logs (which Vercel doesn't keep) so questions like "who uploaded this
+ * and when" can be answered later through /api/audit.
+ *
+ * Routes opt in with createHandler's `audit` option (lib/http.js), which writes one entry per
+ * request once it has been answered, successful or not. The handler fills in the asset and its
+ * metadata before and after through the `audit` object it is given. Work that isn't one request
+ * per asset (bulk jobs, the purge command) calls recordAudit() itself.
+ *
+ * An entry: { id, at, action, outcome: success | denied | failure, status, code?,
+ *             actor: { username, role } | null, ip, asset: { public_id, resource_type } | null,
+ *             before, after, details }
+ * `before` and `after` are the asset's metadata (name, tapYear, caption, tags, folder) where the
+ * action changes it; `details` holds anything else worth keeping (file name, job id, ...).
+ *
+ * Sinks are pluggable, like the rate limit stores. Built in:
+ * - `file`    - JSON lines appended to AUDIT_LOG_PATH (default data/audit.jsonl) (default outside
+ *               production; refused on Vercel, whose filesystem is read-only and per instance)
+ * - `memory`  - per process, for development and tests; refused in production
+ * - `console` - one `AUDIT {...}` line per entry on stdout, for a log drain; can't be queried
+ * - `none`    - disables the audit log
+ * Register others with registerSink(name, factory) and set AUDIT_SINK. A sink implements
+ * append(entry) and, to be queryable, query(filters) -> { entries, next_cursor } (newest first).
+ *
+ * Writing an entry never fails the request it describes: sink errors are logged instead. A sink
+ * that can't work at all is another matter: in production (NODE_ENV=production) AUDIT_SINK must
+ * be set, and audited routes answer 500 CONFIG_ERROR until it names a sink that keeps entries.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { HttpError } = require('./http-error');
+const { clientIp } = require('./rate-limit');
+
+const DEFAULT_AUDIT_LOG_PATH = path.join(process.cwd(), 'data', 'audit.jsonl');
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const OUTCOMES = ['success', 'denied', 'failure'];
+
+// The metadata kept in `before` and `after`, from an asset as lib/assets.js toAsset() returns it
+function assetMetadata(asset) {
+  if (!asset) return null;
+  return {
+    public_id: asset.public_id,
+    name: asset.name || null,
+    tapYear: asset.tapYear || null,
+    caption: asset.caption || null,
+    tags: asset.tags || [],
+    folder: asset.folder || ''
+  };
+}
+
+function outcomeOf(status) {
+  if (status < 400) return 'success';
+  return status === 401 || status === 403 ? 'denied' : 'failure';
+}
+
+/**
+ * A new entry for `action` on a request, for the handler to fill in; written by recordAudit().
+ * @param {object} [req] - null for work that doesn't come from a request (scripts)
+ */
+function createAuditEntry(action, req = null) {
+  return {
+    action,
+    actor: null,
+    ip: req ? clientIp(req) : null,
+    asset: null,
+    before: null,
+    after: null,
+    details: null
+  };
+}
+
+function toActor(user) {
+  return user ? { username: user.username, role: user.role || null } : null;
+}
+
+// Whether an entry matches /api/audit's filters; `public_id` also finds an asset's old names
+function matchesFilters(entry, filters) {
+  if (filters.action && entry.action !== filters.action) return false;
+  if (filters.actor && (!entry.actor || entry.actor.username !== filters.actor)) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.since && entry.at < filters.since) return false;
+  if (filters.until && entry.at >= filters.until) return false;
+  if (filters.public_id) {
+    const ids = [entry.asset, entry.before, entry.after].filter(Boolean).map(item => item.public_id);
+    if (!ids.includes(filters.public_id)) return false;
+  }
+  return true;
+}
+
+// Newest first from a list in append order; the cursor is the position of the next entry to return
+function pageOf(positioned, { cursor, limit }) {
+  const before = cursor === undefined ? Infinity : Number(cursor);
+  const older = positioned.filter(item => item.position < before).reverse();
+  const page = older.slice(0, limit);
+  return {
+    entries: page.map(item => item.entry),
+    next_cursor: older.length > limit ? String(page[page.length - 1].position) : undefined
+  };
+}
+
+function createMemorySink() {
+  const entries = [];
+  return {
+    async append(entry) {
+      entries.push(entry);
+    },
+    async query(filters) {
+      const positioned = [];
+      entries.forEach((entry, position) => {
+        if (matchesFilters(entry, filters)) positioned.push({ entry, position });
+      });
+      return pageOf(positioned, filters);
+    }
+  };
+}
+
+// One JSON object per line. Appends of a single short line don't interleave between processes,
+// and lines are never rewritten, so a line's number is a stable cursor.
+function createFileSink(options = {}) {
+  const filePath = options.path || process.env.AUDIT_LOG_PATH || DEFAULT_AUDIT_LOG_PATH;
+
+  return {
+    filePath,
+
+    async append(entry) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    },
+
+    async query(filters) {
+      const positioned = [];
+      let stream;
+      try {
+        stream = fs.createReadStream(filePath, 'utf8');
+        await new Promise((resolve, reject) => {
+          stream.once('open', resolve);
+          stream.once('error', reject);
+        });
+      } catch (err) {
+        if (err.code === 'ENOENT') return { entries: [] };
+        throw err;
+      }
+
+      let position = 0;
+      for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+        const current = position;
+        position += 1;
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          // A line cut short by a crash; the rest of the log is still good
+          console.warn(`Skipping unreadable audit log line ${current + 1} in ${filePath}`);
+          continue;
+        }
+        if (matchesFilters(entry, filters)) positioned.push({ entry, position: current });
+      }
+      return pageOf(positioned, filters);
+    }
+  };
+}
+
+function createConsoleSink() {
+  return {
+    async append(entry) {
+      console.log(`AUDIT ${JSON.stringify(entry)}`);
+    }
+  };
+}
+
+const sinks = {
+  file: createFileSink,
+  memory: createMemorySink,
+  console: createConsoleSink,
+  none: () => null
+};
+
+// Register an additional sink factory, e.g. registerSink('s3', () => createS3Sink(bucket))
+function registerSink(name, factory) {
+  sinks[name] = factory;
+}
+
+let sharedSink;
+let sharedSinkName;
+
+function getAuditSink() {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.AUDIT_SINK || (production ? null : 'file');
+  if (!name) {
+    throw new Error('AUDIT_SINK must be set in production');
+  }
+  if (name === 'memory' && production) {
+    throw new Error('The memory audit sink loses its entries; it can\'t be used in production');
+  }
+  if (name === 'file' && process.env.VERCEL) {
+    throw new Error('The file audit sink can\'t run on Vercel (its filesystem is read-only and per instance)');
+  }
+  if (sharedSinkName !== name) {
+    const factory = sinks[name];
+    if (!factory) {
+      throw new Error(`Unknown audit sink "${name}". Available: ${Object.keys(sinks).join(', ')}`);
+    }
+    sharedSink = factory();
+    sharedSinkName = name;
+  }
+  return sharedSink;
+}
+
+/**
+ * Check that the audit log is configured, before a request that will be audited.
+ * @throws {HttpError} 500 CONFIG_ERROR
+ */
+function requireAuditSink() {
+  try {
+    getAuditSink();
+  } catch (err) {
+    console.error('Audit log misconfigured:', err.message);
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+}
+
+/**
+ * Write an entry. Never throws: a sink failure is logged with the entry, so it isn't lost.
+ *
+ * @param {object} entry - from createAuditEntry, filled in
+ * @param {object} result - { user?, status?, error? }; `user` is the actor when the entry has none.
+ *   `error` is what the action threw: its status and code are recorded (500 for non-HttpErrors)
+ */
+async function recordAudit(entry, { user, status = 200, error } = {}) {
+  let code;
+  if (error) {
+    status = error instanceof HttpError ? error.status : 500;
+    code = error instanceof HttpError ? error.code : 'INTERNAL_ERROR';
+  }
+  const complete = {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: new Date().toISOString(),
+    action: entry.action,
+    outcome: outcomeOf(status),
+    status,
+    ...(code ? { code } : {}),
+    actor: entry.actor || toActor(user),
+    ip: entry.ip,
+    asset: entry.asset,
+    before: entry.before,
+    after: entry.after,
+    details: entry.details
+  };
+
+  try {
+    const sink = getAuditSink();
+    if (sink) await sink.append(complete);
+  } catch (err) {
+    console.error('Audit sink error:', err, JSON.stringify(complete));
+  }
+}
+
+/**
+ * Entries matching `filters`, newest first.
+ *
+ * @param {object} filters - { action?, actor?, public_id?, outcome?, since?, until? (ISO dates),
+ *   cursor?, limit? }
+ * @returns {Promise<{ entries: object[], next_cursor?: string } | null>} null when the configured
+ *   sink can't be queried
+ */
+async function queryAudit(filters) {
+  const sink = getAuditSink();
+  if (!sink || typeof sink.query !== 'function') return null;
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+  return sink.query({ ...filters, limit });
+}
+
+module.exports = {
+  assetMetadata,
+  createAuditEntry,
+  createConsoleSink,
+  createFileSink,
+  createMemorySink,
+  MAX_QUERY_LIMIT,
+  OUTCOMES,
+  queryAudit,
+  recordAudit,
+  registerSink,
+  requireAuditSink,
+  toActor
+};
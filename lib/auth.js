@@ -0,0 +1,136 @@
+/**
+ * Session tokens and per-route role checks.
+ *
+ * Logging in (POST /api/session) returns a short-lived JWT (HS256, signed with AUTH_SECRET)
+ * that the pages send as `Authorization: Bearer <token>`. A bearer header rather than a
+ * cookie because the pages are embedded on sigmasigma.org while the API lives on vercel.app,
+ * where browsers block third-party cookies.
+ *
+ * Tokens carry the user's token_version, and every request re-reads the user, so disabling
+ * an account, changing its password or revoking its sessions takes effect immediately; a role
+ * change applies on the next request.
+ *
+ * Other tokens are signed with the same secret (download links, share links), so session tokens
+ * are typed `session` and only those are accepted as a session.
+ *
+ * Transition: while LEGACY_API_KEY_ROLE is set (e.g. `viewer`), the old shared
+ * UPLOADER_API_KEY is still accepted and grants that role. Unset it once everyone has an account.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-error');
+const { getUserStore, hasRole, ROLES } = require('./users');
+
+const DEFAULT_SESSION_TTL = 2 * 60 * 60; // 2 hours, in seconds
+const MIN_SECRET_LENGTH = 32;
+const SESSION_TOKEN_TYPE = 'session';
+
+function getSessionTtl() {
+  return parseInt(process.env.AUTH_SESSION_TTL, 10) || DEFAULT_SESSION_TTL;
+}
+
+// Signing secret, or null when AUTH_SECRET is missing or too short to be safe
+function getAuthSecret() {
+  const secret = process.env.AUTH_SECRET || '';
+  return secret.length >= MIN_SECRET_LENGTH ? secret : null;
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+function signToken(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+// Payload of a valid, unexpired token, or null
+function verifyToken(token, secret) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, signature] = parts;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Payload of a valid, unexpired session token, or null (for other tokens too)
+function verifySessionToken(token, secret) {
+  const payload = verifyToken(token, secret);
+  return payload && payload.typ === SESSION_TOKEN_TYPE ? payload : null;
+}
+
+// New session token for a user: { token, expires_at }
+function issueSession(user, secret = getAuthSecret()) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + getSessionTtl();
+  const token = signToken({ typ: SESSION_TOKEN_TYPE, sub: user.username, ver: user.token_version, iat: now, exp }, secret);
+  return { token, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// The old shared key, accepted only while LEGACY_API_KEY_ROLE is configured
+function legacyKeyUser(req) {
+  const role = process.env.LEGACY_API_KEY_ROLE;
+  const validKey = process.env.UPLOADER_API_KEY;
+  const apiKey = (req.query && req.query.key) || req.headers['x-api-key'];
+  if (!role || !ROLES.includes(role) || !validKey || !apiKey || !safeEqual(apiKey, validKey)) return null;
+  return { username: 'legacy-api-key', role, legacy: true };
+}
+
+// The signed-in user for a request; throws HttpError (401, or 500 when AUTH_SECRET is missing)
+async function resolveUser(req) {
+  const secret = getAuthSecret();
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+
+  if (!match) {
+    const legacy = legacyKeyUser(req);
+    if (legacy) return legacy;
+    throw new HttpError(401, 'Sign in required', 'UNAUTHENTICATED');
+  }
+  if (!secret) {
+    console.error('AUTH_SECRET environment variable not set or shorter than 32 characters');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+
+  const payload = verifySessionToken(match[1], secret);
+  const user = payload ? await getUserStore().get(payload.sub) : null;
+  if (!user || user.disabled || user.token_version !== payload.ver) {
+    throw new HttpError(401, 'Session expired or invalid - please sign in again', 'INVALID_SESSION');
+  }
+  return user;
+}
+
+// Throws a 403 HttpError unless `user` has at least `requiredRole`
+function requireRole(user, requiredRole) {
+  if (!hasRole(user.role, requiredRole)) {
+    throw new HttpError(403, `Forbidden: requires the ${requiredRole} role`, 'FORBIDDEN');
+  }
+  return user;
+}
+
+module.exports = {
+  getAuthSecret,
+  issueSession,
+  requireRole,
+  resolveUser,
+  signToken,
+  verifySessionToken,
+  verifyToken
+};
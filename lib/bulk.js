@@ -0,0 +1,176 @@
+/**
+ * Bulk operations on many assets at once, run as tracked jobs (lib/jobs.js) by /api/bulk.
+ *
+ * Each asset goes through the same path as a single edit in /api/assets (lib/assets.js), so
+ * values are validated the same way, the local indexes follow and every change lands in the
+ * asset's history. An asset the operation wouldn't change (the tag is already there, the name
+ * doesn't contain the text) is `skipped`. Each asset changed, or that failed, gets its own audit
+ * log entry (`asset.update` or `asset.trash`, lib/audit.js) with the job's id.
+ *
+ *   add_tags     { tags }            add tags (comma-separated or a list)
+ *   remove_tags  { tags }            remove tags; the app's own tags (ocr_indexed, audio, pdf) can't be
+ *   set_tap_year { tapYear }         set the TAP year; empty clears it
+ *   move         { folder }          move to a folder; empty for the root. This can change public_ids
+ *   rename       { find, replace }   replace text in the `name` (and the matching name tag)
+ *   delete       {}                  move to the trash (lib/trash.js), where it can be restored
+ */
+
+const {
+  loadAsset,
+  parseAssetList,
+  PROTECTED_TAGS,
+  toAsset,
+  updateAsset
+} = require('./assets');
+const { assetMetadata, createAuditEntry, recordAudit } = require('./audit');
+const { HttpError } = require('./http-error');
+const { getJobStore, runJob } = require('./jobs');
+const { trashAsset } = require('./trash');
+const { MAX_NAME_LENGTH, optionalString, parseFolder, parseTags, parseTapYear } = require('./upload-params');
+
+// A page of results is at most 100; this leaves room for a few pages of selection
+const MAX_ASSETS_PER_JOB = 500;
+
+const sameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function invalid(message) {
+  return new HttpError(400, message, 'INVALID_PARAMETER');
+}
+
+function requireTags(params) {
+  const tags = parseTags(params.tags);
+  if (tags.length === 0) throw invalid('tags is required');
+  return tags;
+}
+
+// parse(params) validates an operation's parameters once, for the whole job.
+// changes(asset, params) is the /api/assets PATCH body for one asset, or null to skip it.
+const OPERATIONS = {
+  add_tags: {
+    parse: params => ({ tags: requireTags(params) }),
+    changes: (asset, { tags }) => {
+      const missing = tags.filter(tag => !asset.tags.some(t => sameTag(t, tag)));
+      return missing.length > 0 ? { tags: asset.tags.concat(missing) } : null;
+    }
+  },
+  remove_tags: {
+    parse: params => {
+      const tags = requireTags(params);
+      const protectedTags = tags.filter(tag => PROTECTED_TAGS.some(t => sameTag(t, tag)));
+      if (protectedTags.length > 0) throw invalid(`These tags are managed by the app and can't be removed: ${protectedTags.join(', ')}`);
+      return { tags };
+    },
+    changes: (asset, { tags }) => {
+      const kept = asset.tags.filter(tag => !tags.some(t => sameTag(t, tag)));
+      return kept.length < asset.tags.length ? { tags: kept } : null;
+    }
+  },
+  set_tap_year: {
+    parse: params => ({ tapYear: parseTapYear(params.tapYear) }),
+    changes: (asset, { tapYear }) => ((asset.tapYear || null) === tapYear ? null : { tapYear: tapYear || '' })
+  },
+  move: {
+    parse: params => ({ folder: parseFolder(params.folder) || '' }),
+    changes: (asset, { folder }) => (asset.folder === folder ? null : { folder })
+  },
+  rename: {
+    parse: params => {
+      const find = optionalString(params.find, 'find', MAX_NAME_LENGTH);
+      if (!find) throw invalid('find is required');
+      // Unlike other values, spaces at the ends of `replace` matter ("Spring " -> "")
+      const replace = params.replace === undefined || params.replace === null ? '' : params.replace;
+      if (typeof replace !== 'string' || replace.length > MAX_NAME_LENGTH) {
+        throw invalid(`replace must be a string of at most ${MAX_NAME_LENGTH} characters`);
+      }
+      // Names are also tags, which can't contain commas
+      if (replace.includes(',')) throw invalid('replace cannot contain commas');
+      return { find, replace };
+    },
+    changes: (asset, { find, replace }) => {
+      if (!asset.name || !asset.name.includes(find)) return null;
+      return { name: asset.name.split(find).join(replace).replace(/\s+/g, ' ').trim() };
+    }
+  },
+  delete: {
+    parse: () => ({})
+  }
+};
+
+/**
+ * Validate a bulk request and create its job (not yet run).
+ *
+ * @param {object} body - { operation, params?, assets: [{ public_id, resource_type }] }
+ * @param {object} user
+ * @returns {Promise<object>} the job
+ * @throws {HttpError} 400 INVALID_PARAMETER
+ */
+async function createBulkJob(body, user) {
+  const { operation, params = {}, assets } = body || {};
+  const definition = OPERATIONS[operation];
+  if (!definition) {
+    throw invalid(`Invalid operation. Use one of: ${Object.keys(OPERATIONS).join(', ')}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw invalid('params must be an object');
+  }
+
+  return getJobStore().create({
+    type: 'bulk',
+    operation,
+    params: definition.parse(params),
+    items: parseAssetList(assets, MAX_ASSETS_PER_JOB),
+    createdBy: user.username
+  });
+}
+
+// One job item: the changed asset, or null when there was nothing to change
+async function applyOperation(job, resource, { user, config }) {
+  if (job.operation === 'delete') {
+    return trashAsset(resource, { user, config });
+  }
+  const body = OPERATIONS[job.operation].changes(toAsset(resource), job.params);
+  if (!body) return null;
+  const { asset, changes } = await updateAsset(resource, body, { user, config });
+  return Object.keys(changes).length > 0 ? asset : null;
+}
+
+/**
+ * Work through the next batch of a bulk job as `user`.
+ * @param {string} id
+ * @param {object} options - { user, config, req }; `req` is the request the batch runs for, whose
+ *   caller's IP goes in the audit log
+ * @returns {Promise<object>} the job
+ */
+async function runBulkJob(id, { user, config, req }) {
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (!job || job.type !== 'bulk') throw new HttpError(404, 'Job not found', 'NOT_FOUND');
+
+  return runJob(store, id, async item => {
+    const audit = createAuditEntry(job.operation === 'delete' ? 'asset.trash' : 'asset.update', req);
+    audit.asset = { public_id: item.public_id, resource_type: item.resource_type };
+    audit.details = { job: job.id, operation: job.operation };
+
+    let asset;
+    try {
+      const resource = await loadAsset(item.public_id, item.resource_type, config);
+      audit.before = assetMetadata(toAsset(resource));
+      asset = await applyOperation(job, resource, { user, config });
+    } catch (err) {
+      await recordAudit(audit, { user, error: err });
+      throw err;
+    }
+    if (!asset) return { status: 'skipped' };
+
+    audit.after = assetMetadata(asset);
+    await recordAudit(audit, { user });
+    return asset.public_id === item.public_id ? { status: 'done' } : { status: 'done', new_public_id: asset.public_id };
+  });
+}
+
+module.exports = {
+  createBulkJob,
+  MAX_ASSETS_PER_JOB,
+  OPERATIONS,
+  runBulkJob
+};
@@ -0,0 +1,119 @@
+/**
+ * Minimal client for the Cloudinary Search and Admin APIs (plus the signed Upload API rename and
+ * destroy calls), shared by /api/search, /api/assets, /api/bulk and the index sync job.
+ * Set CLOUDINARY_API_BASE to point it at a local stand-in server (see scripts/fake-cloudinary.js).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_API_BASE = 'https://api.cloudinary.com';
+
+class CloudinaryApiError extends Error {
+  constructor(status, body) {
+    super(`Cloudinary API error (${status}): ${body.substring(0, 200)}`);
+    this.name = 'CloudinaryApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Read Cloudinary credentials from the environment; returns null if any are missing
+function getCloudinaryConfig() {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  const apiKey = process.env.CLOUDINARY_API_KEY;
+  const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+  if (!cloudName || !apiKey || !apiSecret) return null;
+
+  return {
+    cloudName,
+    apiKey,
+    apiSecret,
+    apiBase: (process.env.CLOUDINARY_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '')
+  };
+}
+
+// Authenticated JSON request to `/v1_1/<cloud>/<path>`. Admin API calls use Basic auth; pass
+// `signed` for Upload API calls, which take a signature over the parameters instead.
+async function cloudinaryRequest(method, apiPath, body, config = getCloudinaryConfig(), { signed = false } = {}) {
+  if (!config) {
+    throw new Error('Missing Cloudinary environment variables');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  let payload = body;
+  if (signed) {
+    payload = signParams(body, config);
+  } else {
+    headers.Authorization = `Basic ${Buffer.from(`${config.apiKey}:${config.apiSecret}`).toString('base64')}`;
+  }
+
+  const resp = await fetch(`${config.apiBase}/v1_1/${config.cloudName}/${apiPath}`, {
+    method,
+    headers,
+    body: payload === undefined ? undefined : JSON.stringify(payload)
+  });
+
+  if (!resp.ok) {
+    throw new CloudinaryApiError(resp.status, await resp.text());
+  }
+
+  return resp.json();
+}
+
+// Upload API signature: SHA-1 of the sorted parameters followed by the API secret
+function signParams(params, config) {
+  const signedParams = { ...params, timestamp: Math.floor(Date.now() / 1000) };
+  const toSign = Object.keys(signedParams).sort()
+    .filter(key => signedParams[key] !== undefined && signedParams[key] !== '')
+    .map(key => `${key}=${signedParams[key]}`)
+    .join('&');
+  const signature = crypto.createHash('sha1').update(toSign + config.apiSecret).digest('hex');
+  return { ...signedParams, api_key: config.apiKey, signature };
+}
+
+// Slashes in a public_id are part of the URL path, everything else is escaped
+const resourcePath = (resourceType, publicId) =>
+  `resources/${resourceType}/upload/${publicId.split('/').map(encodeURIComponent).join('/')}`;
+
+// POST a search request body ({ expression, max_results, next_cursor, ... })
+function searchResources(body, config = getCloudinaryConfig()) {
+  return cloudinaryRequest('POST', 'resources/search', body, config);
+}
+
+// One asset with its tags and context
+function getResource(resourceType, publicId, config = getCloudinaryConfig()) {
+  return cloudinaryRequest('GET', resourcePath(resourceType, publicId), undefined, config);
+}
+
+// Admin API update: `tags` (replaces all tags), `context`, `asset_folder`, ...
+function updateResource(resourceType, publicId, params, config = getCloudinaryConfig()) {
+  return cloudinaryRequest('POST', resourcePath(resourceType, publicId), params, config);
+}
+
+// Give an asset a new public_id; fails with 409 if the new one is taken
+function renameResource(resourceType, fromPublicId, toPublicId, config = getCloudinaryConfig()) {
+  return cloudinaryRequest('POST', `${resourceType}/rename`, {
+    from_public_id: fromPublicId,
+    to_public_id: toPublicId
+  }, config, { signed: true });
+}
+
+// Delete an asset and invalidate its CDN copies; `result` is 'ok' or 'not found'
+function destroyResource(resourceType, publicId, config = getCloudinaryConfig()) {
+  return cloudinaryRequest('POST', `${resourceType}/destroy`, {
+    public_id: publicId,
+    invalidate: true
+  }, config, { signed: true });
+}
+
+module.exports = {
+  cloudinaryRequest,
+  destroyResource,
+  getCloudinaryConfig,
+  getResource,
+  renameResource,
+  searchResources,
+  updateResource,
+  CloudinaryApiError
+};
@@ -0,0 +1,297 @@
+/**
+ * Downloads of any asset through /api/download, in its original form or as a named preset that
+ * Cloudinary derives on the fly (a web-sized JPEG, an MP3 of a recording, a 720p MP4 ...).
+ *
+ * The file is streamed from Cloudinary's delivery URLs (CLOUDINARY_DELIVERY_BASE, default
+ * https://res.cloudinary.com) rather than linked to, because this account doesn't deliver PDFs
+ * publicly and so the saved file gets a name built from the asset's `name`. Range requests are
+ * passed through, so players can seek and interrupted downloads can resume.
+ *
+ * A browser can't add the Authorization header to a plain link, so the page first asks for a
+ * download link: a URL carrying a token (lib/auth's signToken) that is good for one asset and
+ * preset (or one finished export) for DOWNLOAD_LINK_TTL seconds. It is typed, so it can't be
+ * used as a session token.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { getAuthSecret, signToken, verifyToken } = require('./auth');
+const { HttpError } = require('./http-error');
+const { getUserStore } = require('./users');
+
+const DOWNLOAD_LINK_TTL = 5 * 60; // seconds
+const TOKEN_TYPE = 'download';
+const UPSTREAM_TIMEOUT_MS = 30 * 1000;
+// Passed on from Cloudinary's answer; the rest (cookies, its cache headers) stay behind
+const PASSED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// `types` are media types (lib/search-query mediaTypeOf); `format` is the file type Cloudinary
+// converts to, picked by the URL's extension
+const PRESETS = {
+  original: { label: 'Original', types: ['image', 'pdf', 'video', 'audio'] },
+  'web-1600': { label: 'Web (1600px)', types: ['image', 'pdf'], transformation: 'c_limit,w_1600,h_1600,q_auto', format: 'jpg' },
+  thumbnail: { label: 'Thumbnail', types: ['image', 'pdf', 'video'], transformation: 'c_fill,g_auto,w_400,h_400,q_auto', format: 'jpg' },
+  mp3: { label: 'MP3', types: ['audio', 'video'], format: 'mp3' },
+  'mp4-720p': { label: 'MP4 (720p)', types: ['video'], transformation: 'c_limit,w_1280,h_720,q_auto', format: 'mp4' }
+};
+
+/**
+ * The preset called `name` for an asset (from lib/assets toAsset).
+ * @throws {HttpError} 400 INVALID_PARAMETER for unknown presets or ones that don't fit the media type
+ */
+function presetFor(asset, name = 'original') {
+  const preset = PRESETS[name];
+  if (!preset) {
+    throw new HttpError(400, `Invalid preset. Use one of: ${Object.keys(PRESETS).join(', ')}`, 'INVALID_PARAMETER');
+  }
+  if (!preset.types.includes(asset.media_type)) {
+    const fitting = Object.keys(PRESETS).filter(key => PRESETS[key].types.includes(asset.media_type));
+    throw new HttpError(400, `The ${name} preset doesn't apply to ${asset.media_type} files. Use one of: ${fitting.join(', ')}`, 'INVALID_PARAMETER');
+  }
+  return { name, ...preset };
+}
+
+function deliveryBase() {
+  return (process.env.CLOUDINARY_DELIVERY_BASE || 'https://res.cloudinary.com').replace(/\/+$/, '');
+}
+
+// Delivery URL of an asset (an Admin API resource) in a preset
+function deliveryUrl(resource, preset, cloudName) {
+  const parts = [deliveryBase(), cloudName, resource.resource_type, 'upload'];
+  if (preset.transformation) parts.push(preset.transformation);
+  if (resource.version) parts.push(`v${resource.version}`);
+  const publicId = resource.public_id.split('/').map(encodeURIComponent).join('/');
+  return `${parts.join('/')}/${publicId}.${preset.format || resource.format}`;
+}
+
+// File name for the download: the asset's name, else the last part of its public_id
+function downloadFilename(asset, preset) {
+  const base = (asset.name || asset.public_id.split('/').pop())
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, 120) || 'download';
+  const suffix = preset.name === 'original' ? '' : ` (${preset.name})`;
+  return `${base}${suffix}.${preset.format || asset.format}`;
+}
+
+// `filename` for old browsers (ASCII only), `filename*` (RFC 5987) for everything else
+function contentDisposition(filename) {
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * A token letting `user` download one thing without a session, for a short while.
+ * @param {object} user
+ * @param {object} grant - what it is good for: { pid, rt, preset } for an asset in a preset,
+ *   { export: id } for an export's archive
+ * @returns {{ token: string, expires_at: string }}
+ */
+function signDownloadToken(user, grant) {
+  const secret = getAuthSecret();
+  if (!secret) {
+    console.error('AUTH_SECRET environment variable not set or shorter than 32 characters');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + DOWNLOAD_LINK_TTL;
+  const token = signToken({ ...grant, typ: TOKEN_TYPE, sub: user.username, iat: now, exp }, secret);
+  return { token, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * The user a download token was issued to, if it grants `expected` (e.g. { pid }) and the
+ * account is still active.
+ * @returns {Promise<{ user: object, grant: object }>} `grant` is the token's claims
+ * @throws {HttpError} 401 INVALID_SESSION
+ */
+async function verifyDownloadToken(token, expected) {
+  const secret = getAuthSecret();
+  const payload = secret ? verifyToken(token, secret) : null;
+  const grants = payload && payload.typ === TOKEN_TYPE &&
+    Object.entries(expected).every(([claim, value]) => payload[claim] === value);
+  if (!grants) {
+    throw new HttpError(401, 'Download link expired or invalid - please try again', 'INVALID_SESSION');
+  }
+  const user = await getUserStore().get(payload.sub);
+  if (!user || user.disabled) {
+    throw new HttpError(401, 'Download link expired or invalid - please try again', 'INVALID_SESSION');
+  }
+  return { user, grant: payload };
+}
+
+// Where this API is reached, for links the browser follows
+function apiOrigin(req) {
+  const proto = (req.headers['x-forwarded-proto'] || '').split(',')[0].trim() || 'http';
+  return `${proto}://${req.headers.host}`;
+}
+
+function upstreamError(status) {
+  if (status === 404) return new HttpError(404, 'File not found', 'NOT_FOUND');
+  if (status === 416) return new HttpError(416, 'Requested range not satisfiable', 'RANGE_NOT_SATISFIABLE');
+  // Cloudinary answers 423 while a large derived file (e.g. a transcoded video) is being made
+  if (status === 423) {
+    return new HttpError(503, 'The file is still being prepared - try again in a minute', 'NOT_READY', { retry_after: 60 });
+  }
+  return new HttpError(502, `Failed to fetch the file (${status})`, 'UPSTREAM_ERROR');
+}
+
+// GET a delivery URL; resolves with Cloudinary's answer, whatever its status
+function requestDelivery(url, headers = {}) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const upstream = client.get(url, { headers }, resolve);
+    upstream.setTimeout(UPSTREAM_TIMEOUT_MS, () => {
+      upstream.destroy(new Error(`No answer from Cloudinary within ${UPSTREAM_TIMEOUT_MS}ms`));
+    });
+    // Once the answer has arrived, errors surface on it instead (and this reject is a no-op)
+    upstream.on('error', err => {
+      console.error('Download request error:', err);
+      reject(new HttpError(502, 'Failed to fetch the file', 'UPSTREAM_ERROR'));
+    });
+  });
+}
+
+/**
+ * The whole file at `url`, as a readable stream (for /api/export's archives).
+ * @throws {HttpError} 404, 502 or 503 (see upstreamError)
+ */
+async function openDelivery(url) {
+  const response = await requestDelivery(url);
+  if (response.statusCode !== 200) {
+    console.error(`Download upstream error: ${response.statusCode} for ${url}`);
+    response.resume();
+    throw upstreamError(response.statusCode);
+  }
+  return response;
+}
+
+/**
+ * Stream `url` to the response as a download called `filename`, passing the request's Range on.
+ * Resolves once the file has been sent, or when the client goes away (`{ aborted: true }`).
+ * @returns {Promise<{ status: number, aborted: boolean }>}
+ * @throws {HttpError} 404, 416, 502 or 503 (see upstreamError) before anything has been sent
+ */
+async function streamDownload(url, req, res, filename) {
+  const headers = {};
+  if (req.headers.range) headers.Range = req.headers.range;
+  if (req.headers['if-range']) headers['If-Range'] = req.headers['if-range'];
+
+  const response = await requestDelivery(url, headers);
+  const status = response.statusCode;
+  if (status !== 200 && status !== 206) {
+    console.error(`Download upstream error: ${status} for ${url}`);
+    response.resume();
+    if (status === 416 && response.headers['content-range']) {
+      res.setHeader('Content-Range', response.headers['content-range']);
+    }
+    throw upstreamError(status);
+  }
+
+  res.statusCode = status;
+  PASSED_HEADERS.forEach(name => {
+    if (response.headers[name]) res.setHeader(name, response.headers[name]);
+  });
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  return new Promise(resolve => {
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      // The client went away (or seeked elsewhere); stop fetching
+      response.destroy();
+      resolve({ status, aborted: true });
+    });
+    response.on('error', err => {
+      console.error('Download stream error:', err);
+      res.destroy(err);
+    });
+    response.on('end', () => resolve({ status, aborted: false }));
+    response.pipe(res);
+  });
+}
+
+// The byte range asked for, as { start, end } (inclusive); null for the whole file, false when
+// it can't be satisfied. Only single ranges are supported; anything else gets the whole file.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    const length = parseInt(match[2], 10);
+    return length > 0 && size > 0 ? { start: Math.max(0, size - length), end: size - 1 } : false;
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  return start < size && start <= end ? { start, end } : false;
+}
+
+/**
+ * Send a local file (an export's archive) as a download called `filename`, with Range support.
+ * @returns {Promise<{ status: number, aborted: boolean }>}
+ * @throws {HttpError} 404 NOT_FOUND when the file is gone, 416 RANGE_NOT_SATISFIABLE
+ */
+async function streamFile(filePath, req, res, { filename, contentType }) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new HttpError(404, 'File not found', 'NOT_FOUND');
+    throw err;
+  }
+
+  const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const ifRange = req.headers['if-range'];
+  const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, stat.size);
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    throw new HttpError(416, 'Requested range not satisfiable', 'RANGE_NOT_SATISFIABLE');
+  }
+
+  const { start, end } = range || { start: 0, end: stat.size - 1 };
+  res.statusCode = range ? 206 : 200;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', String(Math.max(0, end - start + 1)));
+  if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  res.setHeader('Content-Disposition', contentDisposition(filename));
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (stat.size === 0) {
+    res.end();
+    return { status: res.statusCode, aborted: false };
+  }
+  const file = fs.createReadStream(filePath, { start, end });
+  return new Promise(resolve => {
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      file.destroy();
+      resolve({ status: res.statusCode, aborted: true });
+    });
+    file.on('error', err => {
+      console.error('Download file error:', err);
+      res.destroy(err);
+    });
+    file.on('end', () => resolve({ status: res.statusCode, aborted: false }));
+    file.pipe(res);
+  });
+}
+
+module.exports = {
+  apiOrigin,
+  contentDisposition,
+  deliveryUrl,
+  DOWNLOAD_LINK_TTL,
+  downloadFilename,
+  openDelivery,
+  presetFor,
+  PRESETS,
+  signDownloadToken,
+  streamDownload,
+  streamFile,
+  verifyDownloadToken
+};
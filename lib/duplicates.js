@@ -0,0 +1,115 @@
+/**
+ * Duplicate detection for uploads, used by /api/check-duplicates.
+ *
+ * The uploader sends a fingerprint per file:
+ * - `md5`   - MD5 of the file content. Cloudinary's `etag` is the MD5 of the stored original, so
+ *             an equal etag means the very same file is already there.
+ * - `phash` - 64-bit difference hash of an image (16 hex digits), computed by the uploader page.
+ *             Uploads store it in the asset's `phash` context field; a small Hamming distance
+ *             means the same picture saved at another size or quality.
+ * - `bytes` - file size; lets live lookups narrow the search to same-sized assets.
+ *
+ * Lookups use the local search index when it is configured and synced (exact and similar
+ * matches), otherwise one Cloudinary Search API call per check (exact matches, and images whose
+ * stored hash is identical).
+ */
+
+const { searchResources } = require('./cloudinary-search');
+const { folderOf, TRASH_EXCLUSION } = require('./search-query');
+
+const MD5_PATTERN = /^[a-f0-9]{32}$/;
+const PHASH_PATTERN = /^[a-f0-9]{16}$/;
+
+// Differing bits out of 64 up to which two image hashes count as the same picture
+const SIMILAR_PHASH_DISTANCE = 6;
+const MAX_MATCHES_PER_FILE = 5;
+
+// Number of differing bits between two hex hashes of the same length
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+function contextOf(resource) {
+  const context = resource.context || {};
+  return context.custom ? context.custom : context;
+}
+
+// How `resource` matches `file`, or null when it doesn't
+function compare(file, resource) {
+  if (file.md5 && resource.etag && resource.etag === file.md5) {
+    return { match: 'exact', distance: 0 };
+  }
+  const stored = contextOf(resource).phash;
+  if (file.phash && stored && PHASH_PATTERN.test(stored)) {
+    const distance = hammingDistance(file.phash, stored);
+    if (distance <= SIMILAR_PHASH_DISTANCE) return { match: 'similar', distance };
+  }
+  return null;
+}
+
+function toMatch(resource, how) {
+  const context = contextOf(resource);
+  return {
+    public_id: resource.public_id,
+    resource_type: resource.resource_type,
+    secure_url: resource.secure_url || resource.url,
+    thumbnail_url: resource.thumbnail_url || null,
+    name: context.name || context.alt || null,
+    folder: folderOf(resource) || null,
+    bytes: resource.bytes,
+    created_at: resource.created_at,
+    ...how
+  };
+}
+
+// Exact matches first, then the most similar
+function collectMatches(files, resources) {
+  return files.map(file => {
+    const matches = [];
+    resources.forEach(resource => {
+      const how = compare(file, resource);
+      if (how) matches.push(toMatch(resource, how));
+    });
+    matches.sort((a, b) => a.distance - b.distance || String(b.created_at).localeCompare(String(a.created_at)));
+    return { key: file.key, matches: matches.slice(0, MAX_MATCHES_PER_FILE) };
+  });
+}
+
+function findInIndex(index, files) {
+  return collectMatches(files, index.all());
+}
+
+// The Search API can't compare hashes, so ask for same-sized files and identical stored
+// hashes, then compare here. Trashed assets aren't duplicates, as they aren't in the index.
+async function findLive(files, config) {
+  const clauses = [];
+  files.forEach(file => {
+    if (file.md5 && file.bytes) clauses.push(`bytes=${file.bytes}`);
+    if (file.phash) clauses.push(`context.phash=${file.phash}`);
+  });
+  if (clauses.length === 0) return files.map(file => ({ key: file.key, matches: [] }));
+
+  const data = await searchResources({
+    expression: `(resource_type:image OR resource_type:video) AND (${Array.from(new Set(clauses)).join(' OR ')}) AND ${TRASH_EXCLUSION}`,
+    max_results: 500,
+    with_field: ['context']
+  }, config);
+  return collectMatches(files, data.resources || []);
+}
+
+module.exports = {
+  findInIndex,
+  findLive,
+  hammingDistance,
+  MD5_PATTERN,
+  PHASH_PATTERN,
+  SIMILAR_PHASH_DISTANCE
+};
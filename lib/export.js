@@ -0,0 +1,387 @@
+/**
+ * Exports for /api/export: every asset a search (or folder) matches, as one ZIP archive with a
+ * `manifest.csv` of their metadata. The search is read like /api/search reads it
+ * (lib/search-params.js) and answered from the local index when it has been synced, else by
+ * paging through the Cloudinary Search API.
+ *
+ * Each file is fetched from Cloudinary's delivery URLs in the chosen preset (lib/download.js);
+ * an asset the preset doesn't fit (a video in `web-1600`) goes in as its original. Files are
+ * named after the asset, as single downloads are, with " (2)" ... added to repeated names.
+ *
+ * Small exports (up to MAX_STREAMED_ASSETS) are streamed straight to the response. Larger ones
+ * run as a tracked job (lib/jobs.js) that appends each batch of files to an archive under
+ * EXPORTS_PATH (default data/exports), and writes the manifest and the ZIP directory once every
+ * asset has been tried. Each item keeps where its file is in the archive, so a batch that was cut
+ * short is cut off the archive again and redone. Archives are deleted EXPORT_RETENTION_HOURS
+ * (default 24) after they were last written; like JOBS_PATH, EXPORTS_PATH should be persistent
+ * storage in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toAsset } = require('./assets');
+const { searchResources, CloudinaryApiError } = require('./cloudinary-search');
+const {
+  contentDisposition,
+  deliveryUrl,
+  downloadFilename,
+  openDelivery,
+  presetFor,
+  PRESETS
+} = require('./download');
+const { HttpError } = require('./http-error');
+const { getJobStore, runJob } = require('./jobs');
+const { applyFuzzyMatching, BASE_EXPRESSION, parseSearchFilters } = require('./search-params');
+const { getSearchIndex } = require('./search-index');
+const { andNodes, compileExpression, compilePredicate } = require('./search-query');
+const { createZipWriter } = require('./zip');
+
+const DEFAULT_EXPORTS_PATH = path.join(process.cwd(), 'data', 'exports');
+const DEFAULT_RETENTION_HOURS = 24;
+// Streamed in one response, within Vercel's function timeout for web-sized files
+const MAX_STREAMED_ASSETS = 25;
+// Every item is kept in the job (and saved after each one), so the job file stays manageable
+const MAX_EXPORT_ASSETS = 1000;
+const SEARCH_PAGE_SIZE = 500;
+const MANIFEST_NAME = 'manifest.csv';
+const MANIFEST_COLUMNS = [
+  'file', 'public_id', 'resource_type', 'media_type', 'format', 'preset', 'name', 'tapYear',
+  'caption', 'tags', 'folder', 'created_at', 'bytes', 'status', 'error'
+];
+
+function exportsDir() {
+  return process.env.EXPORTS_PATH || DEFAULT_EXPORTS_PATH;
+}
+
+function archivePath(id) {
+  return path.join(exportsDir(), `${id}.zip`);
+}
+
+function retentionMs() {
+  const hours = parseFloat(process.env.EXPORT_RETENTION_HOURS);
+  return (hours > 0 ? hours : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+// Name of the archive as downloaded: the day it was made, and the job when there is one
+function archiveFilename(date, id) {
+  return `tap-export-${date.toISOString().slice(0, 10)}${id ? `-${id}` : ''}.zip`;
+}
+
+/**
+ * Read an export request: the search (see lib/search-params.js) and `preset`.
+ * @param {function} getParam - (name) => the raw parameter value
+ * @returns {Promise<object>} { params, ast, mode }; `params` is what the job keeps
+ * @throws {HttpError} 400 INVALID_PARAMETER, QUERY_SYNTAX_ERROR
+ */
+async function parseExportRequest(getParam) {
+  const filters = parseSearchFilters(getParam);
+  if (!filters.q && !filters.folder && !filters.from && !filters.to) {
+    throw new HttpError(400, 'q, folder, from or to is required', 'INVALID_PARAMETER');
+  }
+  const preset = (getParam('preset') || 'original').toString().trim();
+  if (!PRESETS[preset]) {
+    throw new HttpError(400, `Invalid preset. Use one of: ${Object.keys(PRESETS).join(', ')}`, 'INVALID_PARAMETER');
+  }
+
+  let queryAst = filters.queryAst;
+  if (filters.fuzzy && queryAst) ({ ast: queryAst } = await applyFuzzyMatching(queryAst));
+
+  return {
+    params: {
+      preset,
+      q: filters.q || undefined,
+      mode: filters.mode,
+      fuzzy: filters.fuzzy || undefined,
+      folder: filters.folder,
+      date_field: filters.from || filters.to ? filters.dateField : undefined,
+      from: filters.from,
+      to: filters.to
+    },
+    ast: andNodes(queryAst, filters.filtersAst),
+    mode: filters.mode
+  };
+}
+
+// What an export needs of each asset: how to fetch it, and its manifest row
+function toExportItem(resource) {
+  const asset = toAsset(resource);
+  return {
+    public_id: asset.public_id,
+    resource_type: asset.resource_type,
+    media_type: asset.media_type,
+    format: asset.format,
+    version: resource.version,
+    created_at: asset.created_at,
+    name: asset.name,
+    tapYear: asset.tapYear,
+    caption: asset.caption,
+    tags: asset.tags,
+    folder: asset.folder
+  };
+}
+
+/**
+ * The assets a search matches, in public_id order: up to `limit` + 1, so callers can tell when
+ * there are more than they take.
+ * @returns {Promise<object[]>} export items
+ * @throws {HttpError} 502 UPSTREAM_ERROR
+ */
+async function findExportItems({ ast, mode }, { limit }) {
+  const index = await getSearchIndex();
+  const indexMeta = index ? index.getMeta() : null;
+  if (indexMeta && indexMeta.last_synced_at) {
+    const matches = compilePredicate(ast, { mode });
+    return index.all()
+      .filter(r => r.resource_type === 'image' || r.resource_type === 'video')
+      .filter(matches)
+      .sort((a, b) => a.public_id.localeCompare(b.public_id))
+      .slice(0, limit + 1)
+      .map(toExportItem);
+  }
+
+  const clauses = [BASE_EXPRESSION];
+  if (ast) clauses.push(compileExpression(ast, { mode }));
+  const resources = [];
+  let cursor;
+  try {
+    do {
+      const body = {
+        expression: clauses.join(' AND '),
+        max_results: SEARCH_PAGE_SIZE,
+        with_field: ['context', 'tags'],
+        sort_by: [{ public_id: 'asc' }]
+      };
+      if (cursor) body.next_cursor = cursor;
+      const data = await searchResources(body);
+      resources.push(...(data.resources || []));
+      cursor = data.next_cursor;
+    } while (cursor && resources.length <= limit);
+  } catch (err) {
+    if (err instanceof CloudinaryApiError) {
+      console.error('Cloudinary API error:', err.status, err.body);
+      throw new HttpError(502, 'Search service unavailable', 'UPSTREAM_ERROR');
+    }
+    throw err;
+  }
+  return resources.slice(0, limit + 1).map(toExportItem);
+}
+
+// The preset an asset goes in as: the chosen one when it fits the asset, else the original
+function exportPreset(item, name) {
+  return PRESETS[name].types.includes(item.media_type) ? presetFor(item, name) : presetFor(item, 'original');
+}
+
+// `name`, or "name (2).ext" ... when an earlier file in the archive already has it
+function uniqueName(name, usedNames) {
+  if (!usedNames.has(name.toLowerCase())) return name;
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  for (let n = 2; ; n++) {
+    const candidate = `${base} (${n})${extension}`;
+    if (!usedNames.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * Add one asset's file to the archive. A failure to fetch it throws before anything is written;
+ * a failure while it is being written throws with the writer back where the entry started.
+ * @returns {Promise<object>} what the job item keeps: { status, file, preset, zip }
+ */
+async function addAsset(zip, item, presetName, config, usedNames) {
+  const preset = exportPreset(item, presetName);
+  const source = await openDelivery(deliveryUrl(item, preset, config.cloudName));
+  const file = uniqueName(downloadFilename(item, preset), usedNames);
+  const { name, ...entry } = await zip.addEntry(file, source, { date: new Date(item.created_at) });
+  usedNames.add(file.toLowerCase());
+  return { status: 'done', file, preset: preset.name, zip: entry };
+}
+
+function csvValue(value) {
+  let text = value === undefined || value === null ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// manifest.csv: one row per asset, exported or not. The BOM makes Excel read it as UTF-8.
+function manifestCsv(items) {
+  const rows = items.map(item => {
+    const row = { ...item, bytes: item.zip ? item.zip.size : null };
+    return MANIFEST_COLUMNS.map(column => csvValue(row[column])).join(',');
+  });
+  return Buffer.from(`\ufeff${[MANIFEST_COLUMNS.join(',')].concat(rows).join('\r\n')}\r\n`, 'utf8');
+}
+
+// Write to a response, waiting whenever it is full; rejects once the client has gone away
+function writeToResponse(res, buffer) {
+  return new Promise((resolve, reject) => {
+    if (res.destroyed) {
+      reject(new Error('The client closed the export download'));
+      return;
+    }
+    if (res.write(buffer)) {
+      resolve();
+      return;
+    }
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('The client closed the export download'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * Stream an archive of `items` to the response. Assets that can't be fetched are left out and
+ * listed in the manifest as failed; an error part way through a file ends the response.
+ * @returns {Promise<{ done: number, failed: number }>}
+ */
+async function streamExport(items, presetName, res, config) {
+  let sent = 0;
+  const zip = createZipWriter(async buffer => {
+    await writeToResponse(res, buffer);
+    sent += buffer.length;
+  });
+  const usedNames = new Set([MANIFEST_NAME]);
+  const rows = [];
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition(archiveFilename(new Date())));
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  try {
+    for (const item of items) {
+      const before = sent;
+      try {
+        rows.push({ ...item, ...await addAsset(zip, item, presetName, config, usedNames) });
+      } catch (err) {
+        if (sent !== before || !(err instanceof HttpError)) throw err;
+        rows.push({ ...item, status: 'failed', error: err.message });
+      }
+    }
+    await zip.addEntry(MANIFEST_NAME, manifestCsv(rows), { date: new Date() });
+    await zip.finish();
+    res.end();
+  } catch (err) {
+    // Half an archive must not look like a whole one
+    res.destroy();
+    throw err;
+  }
+
+  const failed = rows.filter(row => row.status === 'failed').length;
+  return { done: rows.length - failed, failed };
+}
+
+// Delete archives nobody has written to for EXPORT_RETENTION_HOURS
+async function pruneExports(now = Date.now()) {
+  let names;
+  try {
+    names = await fs.promises.readdir(exportsDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  for (const name of names.filter(n => n.endsWith('.zip'))) {
+    const filePath = path.join(exportsDir(), name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (now - stat.mtimeMs > retentionMs()) await fs.promises.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to delete old export ${filePath}:`, err);
+    }
+  }
+}
+
+/**
+ * Create an export job (not yet run) for a request's search.
+ * @param {object} request - from parseExportRequest
+ * @returns {Promise<object>} the job
+ * @throws {HttpError} 400 EXPORT_TOO_LARGE, 404 NOT_FOUND when nothing matches
+ */
+async function createExportJob(request, user) {
+  const items = await findExportItems(request, { limit: MAX_EXPORT_ASSETS });
+  if (items.length === 0) throw new HttpError(404, 'No assets match this search', 'NOT_FOUND');
+  if (items.length > MAX_EXPORT_ASSETS) {
+    throw new HttpError(400, `More than ${MAX_EXPORT_ASSETS} assets match; narrow the search to export it`, 'EXPORT_TOO_LARGE');
+  }
+
+  await pruneExports().catch(err => console.error('Export cleanup error:', err));
+  return getJobStore().create({
+    type: 'export',
+    operation: 'export',
+    params: request.params,
+    items,
+    createdBy: user.username
+  });
+}
+
+// The archive so far, cut back to the end of the last file added
+async function openArchive(filePath, end) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, end === 0 ? 'w' : 'r+');
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new HttpError(404, 'This export has expired - please export again', 'NOT_FOUND');
+    throw err;
+  }
+  await handle.truncate(end);
+  return handle;
+}
+
+/**
+ * Work through the next batch of an export job. The batch that tries the last asset also writes
+ * the manifest and the ZIP directory, and sets the job's `archive`: { filename, bytes }.
+ * @returns {Promise<object>} the job
+ */
+async function runExportJob(id, { config }) {
+  const store = getJobStore();
+  const job = await store.get(id);
+  if (!job || job.type !== 'export') throw new HttpError(404, 'Job not found', 'NOT_FOUND');
+
+  const filePath = archivePath(id);
+  let handle = null;
+  let zip;
+  let usedNames;
+  try {
+    return await runJob(store, id, item => addAsset(zip, item, job.params.preset, config, usedNames), {
+      prepare: async leased => {
+        const added = leased.items.filter(item => item.zip);
+        const end = added.reduce((max, item) => Math.max(max, item.zip.end), 0);
+        handle = await openArchive(filePath, end);
+        zip = createZipWriter((buffer, position) => handle.write(buffer, 0, buffer.length, position), {
+          offset: end,
+          entries: added.map(item => ({ name: item.file, ...item.zip }))
+        });
+        usedNames = new Set([MANIFEST_NAME].concat(added.map(item => item.file)).map(name => name.toLowerCase()));
+      },
+      finish: async finished => {
+        if (finished.counts.pending > 0) return;
+        await zip.addEntry(MANIFEST_NAME, manifestCsv(finished.items), { date: new Date() });
+        const bytes = await zip.finish();
+        await handle.truncate(bytes);
+        finished.archive = { filename: archiveFilename(new Date(finished.created_at), finished.id), bytes };
+      }
+    });
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+module.exports = {
+  archivePath,
+  createExportJob,
+  findExportItems,
+  MAX_EXPORT_ASSETS,
+  MAX_STREAMED_ASSETS,
+  parseExportRequest,
+  runExportJob,
+  streamExport
+};
@@ -0,0 +1,181 @@
+/**
+ * Typo-tolerant name matching for OCR-derived tags ("Jonh Smtih" vs "John Smith").
+ *
+ * Two words are considered similar when their Damerau-Levenshtein distance is within a
+ * length-dependent budget, or when they share a phonetic key (a simplified Metaphone).
+ * Multi-word names are compared word by word.
+ */
+
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent transpositions
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push(new Array(b.length + 1).fill(0));
+    rows[i][0] = i;
+  }
+  for (let j = 0; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+const VOWELS = 'AEIOU';
+
+// Simplified Metaphone: maps similar-sounding spellings of a word to the same key
+function phoneticKey(word) {
+  let w = String(word || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!w) return '';
+
+  // Silent or simplified leading letters
+  w = w.replace(/^(KN|GN|PN|AE|WR)/, m => m[1]).replace(/^X/, 'S').replace(/^WH/, 'W');
+
+  let key = '';
+  for (let i = 0; i < w.length; i++) {
+    const c = w[i];
+    const prev = w[i - 1] || '';
+    const next = w[i + 1] || '';
+    const next2 = w[i + 2] || '';
+
+    // Skip doubled letters (except C, handled below)
+    if (c === prev && c !== 'C') continue;
+
+    switch (c) {
+      case 'A': case 'E': case 'I': case 'O': case 'U':
+        if (i === 0) key += c;
+        break;
+      case 'B':
+        if (!(prev === 'M' && i === w.length - 1)) key += 'B';
+        break;
+      case 'C':
+        if (next === 'I' && next2 === 'A') key += 'X';
+        else if (next === 'H') { key += 'X'; i++; }
+        else if ('IEY'.includes(next)) { if (prev !== 'S') key += 'S'; }
+        else key += 'K';
+        break;
+      case 'D':
+        if (next === 'G' && 'EIY'.includes(next2)) { key += 'J'; i++; }
+        else key += 'T';
+        break;
+      case 'G':
+        if (next === 'H' && !VOWELS.includes(next2)) { i++; break; }
+        if (next === 'N' && (i + 2 === w.length || (next2 === 'E' && w[i + 3] === 'D'))) break;
+        key += 'EIY'.includes(next) && prev !== 'G' ? 'J' : 'K';
+        break;
+      case 'H':
+        if (VOWELS.includes(next) && !'CGPST'.includes(prev)) key += 'H';
+        break;
+      case 'K':
+        if (prev !== 'C') key += 'K';
+        break;
+      case 'P':
+        if (next === 'H') { key += 'F'; i++; } else key += 'P';
+        break;
+      case 'Q':
+        key += 'K';
+        break;
+      case 'S':
+        if (next === 'H' || (next === 'I' && 'OA'.includes(next2))) { key += 'X'; i++; }
+        else key += 'S';
+        break;
+      case 'T':
+        if (next === 'I' && 'OA'.includes(next2)) key += 'X';
+        else if (next === 'H') { key += '0'; i++; }
+        else if (!(next === 'C' && next2 === 'H')) key += 'T';
+        break;
+      case 'V':
+        key += 'F';
+        break;
+      case 'W': case 'Y':
+        if (VOWELS.includes(next)) key += c;
+        break;
+      case 'X':
+        key += 'KS';
+        break;
+      case 'Z':
+        key += 'S';
+        break;
+      default:
+        key += c;
+    }
+  }
+  return key;
+}
+
+const normalizeWords = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Allowed typos per word: none for very short words or numbers (years), more for longer words
+function maxDistanceFor(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return 0;
+  if (word.length <= 5) return 1;
+  return 2;
+}
+
+// Compare two single words; returns a distance (lower is closer) or null when not similar
+function wordDistance(a, b) {
+  if (a === b) return 0;
+  const distance = editDistance(a, b);
+  if (distance <= maxDistanceFor(a)) return distance;
+  // Same sound, different spelling ("Smyth" / "Smith"); counted as a distance-2 match
+  if (!/\d/.test(a) && a.length >= 3 && phoneticKey(a) === phoneticKey(b)) return 2;
+  return null;
+}
+
+// Compare a query phrase to a candidate (tag or name). Single-word queries may match any word
+// of the candidate; multi-word queries must match word by word. Returns total distance or null.
+function phraseDistance(query, candidate) {
+  const q = normalizeWords(query);
+  const c = normalizeWords(candidate);
+  if (q.length === 0 || c.length === 0) return null;
+
+  if (q.length === 1) {
+    const distances = c.map(word => wordDistance(q[0], word)).filter(d => d !== null);
+    return distances.length ? Math.min(...distances) : null;
+  }
+
+  if (q.length !== c.length) return null;
+  let total = 0;
+  for (let i = 0; i < q.length; i++) {
+    const d = wordDistance(q[i], c[i]);
+    if (d === null) return null;
+    total += d;
+  }
+  return total;
+}
+
+// Vocabulary entries similar to the query, closest first. Exact matches (distance 0) are
+// included with `exact: true` so callers can tell typos from hits.
+function findSimilar(query, vocabulary, limit = 10) {
+  const matches = [];
+  for (const entry of vocabulary) {
+    const distance = phraseDistance(query, entry);
+    if (distance !== null) {
+      matches.push({ text: entry, distance, exact: distance === 0 });
+    }
+  }
+  return matches
+    .sort((a, b) => a.distance - b.distance || a.text.localeCompare(b.text))
+    .slice(0, limit);
+}
+
+module.exports = {
+  editDistance,
+  phoneticKey,
+  phraseDistance,
+  findSimilar
+};
@@ -0,0 +1,17 @@
+/**
+ * Error with an HTTP status and a machine-readable code, answered as
+ * `{ error, code, details? }` by lib/http.js. Kept in its own module so the stores
+ * (users, saved searches) can extend it without pulling in the request layer.
+ */
+
+class HttpError extends Error {
+  constructor(status, message, code, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,189 @@
+/**
+ * Shared request handling for everything under api/.
+ *
+ * `createHandler(options, handler)` wraps a route so that every endpoint gets the same:
+ *   - CORS headers, echoing the request origin only when it is allowed
+ *   - preflight (OPTIONS) answers and 405s for methods the route doesn't list
+ *   - origin check against ALLOWED_ORIGINS (comma-separated; defaults to sigmasigma.org, plus
+ *     localhost outside production)
+ *   - rate limit via lib/rate-limit (429 with Retry-After once the caller's bucket is empty)
+ *   - role check via lib/auth, with the signed-in user passed to the handler
+ *   - an audit log entry (lib/audit) for routes that name an action, written with the outcome
+ *   - JSON error envelope `{ error, code, details? }`; unexpected errors are logged and answered
+ *     with a generic 500 so internal messages never reach the client
+ *
+ * Handlers throw HttpError (or a subclass) for anything the client should see.
+ */
+
+const { createAuditEntry, recordAudit, requireAuditSink } = require('./audit');
+const { requireRole, resolveUser } = require('./auth');
+const { HttpError } = require('./http-error');
+const { checkRateLimit } = require('./rate-limit');
+
+const DEFAULT_ORIGINS = ['https://www.sigmasigma.org', 'https://sigmasigma.org'];
+const DEVELOPMENT_ORIGINS = ['http://localhost', 'http://localhost:3000'];
+const ALLOWED_HEADERS = 'Content-Type, Authorization, x-api-key';
+// Readable by the pages' scripts, so they can back off
+const EXPOSED_HEADERS = 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+function getAllowedOrigins() {
+  const configured = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  const origins = configured.length > 0 ? configured : DEFAULT_ORIGINS;
+  return isProduction() ? origins : origins.concat(DEVELOPMENT_ORIGINS);
+}
+
+// Origin of a URL-ish header value, or '' if it can't be parsed
+function originOf(value) {
+  try {
+    return value ? new URL(value).origin : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+// Whether the request comes from one of the allowed sites. Compares whole origins, so
+// `https://sigmasigma.org.example.com` does not pass for `https://sigmasigma.org`.
+function isAllowedOrigin(req) {
+  const allowed = getAllowedOrigins();
+  const origin = originOf(req.headers.origin);
+  const refererOrigin = originOf(req.headers.referer);
+
+  // Local development: requests made straight to the dev server
+  if (!isProduction() && /^localhost(:\d+)?$/.test(req.headers.host || '')) {
+    return true;
+  }
+
+  return allowed.includes(origin) || allowed.includes(refererOrigin);
+}
+
+function setCorsHeaders(req, res, methods) {
+  const origin = originOf(req.headers.origin);
+  res.setHeader('Vary', 'Origin');
+  if (origin && getAllowedOrigins().includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods.concat('OPTIONS').join(', '));
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, code, details) {
+  sendJson(res, status, details === undefined ? { error: message, code } : { error: message, code, details });
+}
+
+// Vercel adds res.status().json(); plain Node responses (dev-server.js) get the same helpers
+function addResponseHelpers(res) {
+  if (typeof res.status !== 'function') {
+    res.status = function(code) {
+      this.statusCode = code;
+      return this;
+    };
+  }
+  if (typeof res.json !== 'function') {
+    res.json = function(body) {
+      sendJson(this, this.statusCode || 200, body);
+    };
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - label for log lines
+ * @param {string[]} options.methods - allowed methods, without OPTIONS
+ * @param {string|null|function(req): string|null} [options.role] - minimum role; null for routes
+ *   that don't need a signed-in user
+ * @param {boolean|function(req): boolean} [options.checkOrigin=true] - reject requests from sites
+ *   not in ALLOWED_ORIGINS
+ * @param {string|false|function(req): string|false} [options.rateLimit='default'] - rate limit
+ *   policy name (see lib/rate-limit), or false for none
+ * @param {string|null|function(req): string|null} [options.audit] - audit log action (e.g.
+ *   `asset.update`), or null for requests that aren't audited
+ * @param {function(req, res, {user, audit})} handler - `audit` is the entry to fill in (asset,
+ *   before, after, details), or null
+ */
+function createHandler(options, handler) {
+  const { name, methods, role = null, checkOrigin = true, rateLimit = 'default', audit = null } = options;
+
+  return async (req, res) => {
+    addResponseHelpers(res);
+    setCorsHeaders(req, res, methods);
+
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    const action = typeof audit === 'function' ? audit(req) : audit;
+    const auditEntry = action ? createAuditEntry(action, req) : null;
+    let user = null;
+
+    try {
+      // An audited request isn't served without somewhere to record it
+      if (auditEntry) requireAuditSink();
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', methods.concat('OPTIONS').join(', '));
+        throw new HttpError(405, 'Method not allowed', 'METHOD_NOT_ALLOWED');
+      }
+
+      const originChecked = typeof checkOrigin === 'function' ? checkOrigin(req) : checkOrigin;
+      if (originChecked && !isAllowedOrigin(req)) {
+        throw new HttpError(403, 'Access denied - invalid origin', 'ORIGIN_NOT_ALLOWED');
+      }
+
+      const policy = typeof rateLimit === 'function' ? rateLimit(req) : rateLimit;
+      const limited = policy ? await checkRateLimit(req, res, policy) : null;
+      if (limited && !limited.allowed) {
+        console.warn(`${name}: rate limit "${policy}" exceeded`);
+        throw new HttpError(429, 'Too many requests - please slow down', 'RATE_LIMITED', {
+          retry_after: Math.max(1, Math.ceil(limited.retryAfterMs / 1000))
+        });
+      }
+
+      const requiredRole = typeof role === 'function' ? role(req) : role;
+      if (requiredRole) {
+        // Known before the role check, so refused requests are audited with who made them
+        user = await resolveUser(req);
+        requireRole(user, requiredRole);
+      }
+
+      await handler(req, res, { user, audit: auditEntry });
+      if (auditEntry) await recordAudit(auditEntry, { user, status: res.statusCode || 200 });
+    } catch (err) {
+      if (auditEntry) await recordAudit(auditEntry, { user, error: err });
+      if (!(err instanceof HttpError)) {
+        console.error(`${name} error:`, err);
+      }
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (err instanceof HttpError) {
+        sendError(res, err.status, err.message, err.code, err.details);
+      } else {
+        sendError(res, 500, 'Internal server error', 'INTERNAL_ERROR');
+      }
+    }
+  };
+}
+
+module.exports = {
+  createHandler,
+  getAllowedOrigins,
+  HttpError,
+  isAllowedOrigin,
+  sendError,
+  sendJson
+};
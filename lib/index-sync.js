@@ -0,0 +1,74 @@
+/**
+ * Sync job: pulls asset metadata from the Cloudinary Search API into the local search index.
+ *
+ * - full sync (default): pages through every image/video, upserts them and removes index
+ *   entries for assets that no longer exist in Cloudinary
+ * - incremental sync: only fetches assets created since the last successful sync. Edits made
+ *   through the API (lib/assets.js) and OCR tagging (lib/ocr.js) update the index themselves;
+ *   changes made elsewhere, such as in the Cloudinary console, wait for the next full sync
+ */
+
+const { searchResources, getCloudinaryConfig } = require('./cloudinary-search');
+const { toIndexDocument } = require('./search-index');
+const { TRASH_EXCLUSION } = require('./search-query');
+
+// Trashed assets are left out, so a full sync drops them from the index
+const SYNC_EXPRESSION = `(resource_type:image OR resource_type:video) AND ${TRASH_EXCLUSION}`;
+const SYNC_PAGE_SIZE = 500; // Search API maximum
+
+async function syncIndex(index, options = {}) {
+  const config = options.config || getCloudinaryConfig();
+  const log = options.log || (() => {});
+  const meta = index.getMeta();
+  const incremental = Boolean(options.incremental && meta.last_synced_at);
+  const startedAt = new Date().toISOString();
+
+  const expression = incremental
+    ? `${SYNC_EXPRESSION} AND created_at>="${meta.last_synced_at}"`
+    : SYNC_EXPRESSION;
+
+  log(`Starting ${incremental ? 'incremental' : 'full'} sync: ${expression}`);
+
+  const seen = new Set();
+  let cursor;
+  let pages = 0;
+
+  do {
+    const body = {
+      expression,
+      max_results: SYNC_PAGE_SIZE,
+      with_field: ['context', 'tags', 'metadata'],
+      sort_by: [{ public_id: 'asc' }]
+    };
+    if (cursor) body.next_cursor = cursor;
+
+    const data = await searchResources(body, config);
+    const docs = (data.resources || []).map(toIndexDocument);
+    index.upsert(docs);
+    docs.forEach(d => seen.add(d.public_id));
+
+    cursor = data.next_cursor;
+    pages++;
+    log(`Page ${pages}: ${docs.length} assets (${seen.size}${data.total_count ? ` of ${data.total_count}` : ''})`);
+  } while (cursor);
+
+  let removed = 0;
+  if (!incremental) {
+    const stale = index.all().map(d => d.public_id).filter(id => !seen.has(id));
+    index.remove(stale);
+    removed = stale.length;
+  }
+
+  index.setMeta({
+    last_synced_at: startedAt,
+    last_sync_mode: incremental ? 'incremental' : 'full',
+    document_count: index.all().length
+  });
+  await index.flush();
+
+  const summary = { mode: incremental ? 'incremental' : 'full', fetched: seen.size, removed, total: index.all().length, pages };
+  log(`Sync complete: ${summary.fetched} fetched, ${summary.removed} removed, ${summary.total} in index`);
+  return summary;
+}
+
+module.exports = { syncIndex };
@@ -0,0 +1,207 @@
+/**
+ * Tracked jobs: work on a list of assets that is done a batch at a time, with each asset's
+ * outcome kept, so a caller can follow progress and see exactly which assets failed.
+ *
+ * Serverless functions can't keep working after they answer, so a job doesn't run by itself.
+ * Each call to runJob() works through pending items until its time budget is spent and saves
+ * after every item; the caller (the search page, via /api/bulk or /api/export) calls again until
+ * the job is done.
+ * A job being worked on is leased, so two callers never process the same items: the lease is
+ * checked and taken in one update of the file, and a call whose lease has run out can't save
+ * over the work of the call that took over.
+ *
+ * Stored as a flat JSON file (JOBS_PATH, default data/jobs.json), see lib/json-file.js, keeping
+ * the most recent MAX_JOBS jobs. Vercel's filesystem is ephemeral, so production deployments
+ * should point JOBS_PATH at persistent storage.
+ *
+ * A job: { id, type, operation, params, status: running | done, created_by, created_at,
+ *          updated_at, finished_at, counts: { pending, done, skipped, failed },
+ *          items: [{ public_id, resource_type, status, error?, ... }] }
+ * Items keep whatever their job type adds: `new_public_id` for bulk moves, the file's place in
+ * the archive for exports (which also set `archive` on the job once it is written).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { HttpError } = require('./http-error');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_JOBS_PATH = path.join(process.cwd(), 'data', 'jobs.json');
+const JOBS_VERSION = 1;
+const MAX_JOBS = 100;
+
+// How long one runJob() call works before handing back: within Vercel's default 10 second
+// function timeout. The lease outlives the budget so a slow last item can't let a second caller in.
+const DEFAULT_TIME_BUDGET_MS = 8000;
+const LEASE_MS = 30000;
+
+const ITEM_STATUSES = ['pending', 'done', 'skipped', 'failed'];
+
+function countItems(items) {
+  const counts = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  items.forEach(item => { counts[item.status] += 1; });
+  return counts;
+}
+
+// A job without its items, for lists
+function summarizeJob(job) {
+  const { items, lease_id: leaseId, lease_until: leaseUntil, ...summary } = job;
+  return { ...summary, total: items.length };
+}
+
+// A job whose items can be changed without touching the stored ones
+function copyJob(job) {
+  return { ...job, items: job.items.map(item => ({ ...item })) };
+}
+
+function createJobStore(options = {}) {
+  const filePath = options.path || process.env.JOBS_PATH || DEFAULT_JOBS_PATH;
+  const file = createJsonFile(filePath, { version: JOBS_VERSION, label: 'jobs', empty: () => ({ jobs: [] }) });
+
+  // Store `job` in place of its saved copy, leaving the other jobs as they are now. With
+  // `leaseId`, only while the job still has that lease.
+  async function save(job, leaseId) {
+    const stored = copyJob(job);
+    await file.update(({ jobs }) => {
+      if (leaseId) {
+        const current = jobs.find(j => j.id === job.id);
+        if (!current || current.lease_id !== leaseId) {
+          throw new HttpError(409, 'This job was taken over by another call; try again shortly', 'JOB_RUNNING');
+        }
+      }
+      const next = jobs.filter(j => j.id !== job.id).concat(stored)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(-MAX_JOBS);
+      return { jobs: next };
+    });
+    return job;
+  }
+
+  return {
+    filePath,
+
+    // Newest first, without their items
+    async list() {
+      const { jobs } = await file.read();
+      return jobs.slice().reverse().map(summarizeJob);
+    },
+
+    async get(id) {
+      const { jobs } = await file.read();
+      const job = jobs.find(j => j.id === id);
+      return job ? copyJob(job) : null;
+    },
+
+    /**
+     * Take the job's lease until `until` (a Date), checked and set in one update so two calls
+     * can't both take it. A finished job is returned as it is, without a lease.
+     * @returns {Promise<object>} the job, with its lease_id
+     * @throws {HttpError} 404 NOT_FOUND, 409 JOB_RUNNING while another call holds the lease
+     */
+    async lease(id, until) {
+      let leased;
+      await file.update(({ jobs }) => {
+        const job = jobs.find(j => j.id === id);
+        if (!job) throw new HttpError(404, 'Job not found', 'NOT_FOUND');
+        if (job.status === 'done') {
+          leased = job;
+          return null;
+        }
+        if (job.lease_until && new Date(job.lease_until) > new Date()) {
+          throw new HttpError(409, 'This job is already being worked on; try again shortly', 'JOB_RUNNING');
+        }
+        leased = { ...job, lease_id: crypto.randomBytes(6).toString('hex'), lease_until: until.toISOString() };
+        return { jobs: jobs.map(j => (j === job ? leased : j)) };
+      });
+      return copyJob(leased);
+    },
+
+    async create({ type, operation, params, items, createdBy }) {
+      const now = new Date().toISOString();
+      const jobItems = items.map(item => ({ ...item, status: 'pending' }));
+      return save({
+        id: crypto.randomBytes(6).toString('hex'),
+        type,
+        operation,
+        params,
+        status: 'running',
+        created_by: createdBy || null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null,
+        counts: countItems(jobItems),
+        items: jobItems
+      });
+    },
+
+    save
+  };
+}
+
+/**
+ * Work through a job's pending items until they are done or the time budget is spent.
+ *
+ * @param {object} store - from createJobStore
+ * @param {string} id
+ * @param {function} processItem - async (item) => ({ status: 'done' | 'skipped', ...extra });
+ *   a throw marks the item failed with the error's message (HttpErrors) or a generic one
+ * @param {object} [options] - { timeBudgetMs, prepare, finish }
+ * @param {function} [options.prepare] - async (job), once the lease is held and before the first
+ *   item, for work that needs the job to itself (lib/export.js opens its archive)
+ * @param {function} [options.finish] - async (job), after the batch and before the job is saved;
+ *   on the last batch (`counts.pending` is 0) it can complete the job's result. If it throws,
+ *   the job stays running and the next call finishes it.
+ * @returns {Promise<object>} the job as saved
+ * @throws {HttpError} 404 NOT_FOUND, 409 JOB_RUNNING while another call holds the lease (or
+ *   took it over after this call's ran out)
+ */
+async function runJob(store, id, processItem, { timeBudgetMs = DEFAULT_TIME_BUDGET_MS, prepare, finish } = {}) {
+  const started = Date.now();
+  const job = await store.lease(id, new Date(started + LEASE_MS));
+  if (job.status === 'done') return job;
+  const leaseId = job.lease_id;
+  if (prepare) await prepare(job);
+
+  let processed = 0;
+  for (const item of job.items) {
+    if (item.status !== 'pending') continue;
+    // At least one item per call, so a job always moves forward
+    if (processed > 0 && Date.now() - started >= timeBudgetMs) break;
+    processed += 1;
+
+    try {
+      Object.assign(item, await processItem(item));
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(`Job ${job.id}: ${item.public_id} failed:`, err);
+      item.status = 'failed';
+      item.error = err instanceof HttpError ? err.message : 'Unexpected error';
+    }
+    job.counts = countItems(job.items);
+    job.updated_at = new Date().toISOString();
+    await store.save(job, leaseId);
+  }
+
+  if (finish) await finish(job);
+  delete job.lease_id;
+  delete job.lease_until;
+  if (job.counts.pending === 0) {
+    job.status = 'done';
+    job.finished_at = new Date().toISOString();
+    console.log(`Job ${job.id} (${job.operation}) finished: ${JSON.stringify(job.counts)}`);
+  }
+  return store.save(job, leaseId);
+}
+
+let sharedStore = null;
+
+function getJobStore() {
+  if (!sharedStore) sharedStore = createJobStore();
+  return sharedStore;
+}
+
+module.exports = {
+  createJobStore,
+  getJobStore,
+  runJob,
+  summarizeJob
+};
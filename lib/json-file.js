@@ -0,0 +1,90 @@
+/**
+ * Small versioned JSON file used by the file-backed stores (saved searches, users).
+ * The file is re-read only when its mtime changes, so edits made by another process (or a CLI
+ * script) are picked up, and writes go through a temp file + rename so readers never see a
+ * half-written file. Pass `mode` (e.g. 0o600) for files holding secrets.
+ *
+ * Changes go through update(change): updates of one file run one at a time in this process, each
+ * reading what the one before it wrote, so two requests changing a store at once both land.
+ * Nothing locks the file between processes; a CLI script writing while the server does can still
+ * lose one of the two changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The last queued update of each file, shared by every handle on the same path
+const queues = new Map();
+
+// Run `task` once every update queued before it on `filePath` has finished
+function enqueue(filePath, task) {
+  const run = (queues.get(filePath) || Promise.resolve()).then(task);
+  const settled = run.catch(() => {});
+  queues.set(filePath, settled);
+  settled.then(() => {
+    if (queues.get(filePath) === settled) queues.delete(filePath);
+  });
+  return run;
+}
+
+function createJsonFile(filePath, { version, label = 'data', empty = () => ({}), mode }) {
+  let data = null;
+  let loadedMtime = null;
+
+  // Current contents (without the version field); `empty()` when the file doesn't exist yet
+  async function read() {
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        if (!data) data = empty();
+        return data;
+      }
+      throw err;
+    }
+    if (data && loadedMtime === stats.mtimeMs) return data;
+
+    const parsed = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (parsed.version !== version) {
+      throw new Error(`Unsupported ${label} version ${parsed.version} in ${filePath}`);
+    }
+    delete parsed.version;
+    data = parsed;
+    loadedMtime = stats.mtimeMs;
+    return data;
+  }
+
+  async function save(next) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ version, ...next }, null, 2), { mode });
+    await fs.promises.rename(tmpPath, filePath);
+    data = next;
+    loadedMtime = (await fs.promises.stat(filePath)).mtimeMs;
+  }
+
+  return {
+    filePath,
+    read,
+
+    /**
+     * Replace the contents with change(current): current is what the file holds once the updates
+     * queued before this one are written. change may be async; returning null writes nothing.
+     * Resolves with the new contents, or null when nothing was written.
+     */
+    update(change) {
+      return enqueue(filePath, async () => {
+        const next = await change(await read());
+        if (next) await save(next);
+        return next;
+      });
+    },
+
+    write(next) {
+      return enqueue(filePath, () => save(next));
+    }
+  };
+}
+
+module.exports = { createJsonFile };
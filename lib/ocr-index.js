@@ -0,0 +1,90 @@
+/**
+ * OCR sidecar index: the full OCR text of each processed image and where on it each extracted
+ * name was found, so /api/search results can say where to highlight a person on a composite.
+ *
+ * Cloudinary context only holds the first 1000 characters of the text and no positions, so this
+ * is kept next to the search index, in a JSON file (OCR_INDEX_PATH, default data/ocr-index.json,
+ * see lib/json-file.js). Vercel's filesystem is ephemeral, so production deployments should point
+ * OCR_INDEX_PATH at persistent storage; `npm run ocr-backfill -- --force` rebuilds it.
+ *
+ * An entry, by public_id:
+ *   { public_id, text, width, height, processed_at,
+ *     names: [{ name, confidence, boxes: [{ x, y, w, h }] }] }
+ * Boxes are fractions of the image size, so they fit any rendition of it. `confidence` is the OCR
+ * engine's mean confidence (0-1) for the name's words, or null when it didn't report one.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_OCR_INDEX_PATH = path.join(process.cwd(), 'data', 'ocr-index.json');
+const OCR_INDEX_VERSION = 1;
+
+// Enough for the densest composites; anything longer is not a caption
+const MAX_TEXT_LENGTH = 20000;
+
+// Changes are serialized within a process (lib/json-file.js) but the file isn't locked, like the
+// file rate-limit store: fine for one server and the backfill, not for many instances writing at once.
+function createOCRIndex(options = {}) {
+  const filePath = options.path || process.env.OCR_INDEX_PATH || DEFAULT_OCR_INDEX_PATH;
+  const file = createJsonFile(filePath, { version: OCR_INDEX_VERSION, label: 'OCR index', empty: () => ({ entries: {} }) });
+
+  return {
+    filePath,
+
+    async get(publicId) {
+      const { entries } = await file.read();
+      return entries[publicId] || null;
+    },
+
+    // Entries for the given ids that have one, by public_id
+    async getMany(publicIds) {
+      const { entries } = await file.read();
+      const found = {};
+      publicIds.forEach(publicId => {
+        if (entries[publicId]) found[publicId] = entries[publicId];
+      });
+      return found;
+    },
+
+    async put(entry) {
+      const stored = {
+        ...entry,
+        text: (entry.text || '').substring(0, MAX_TEXT_LENGTH),
+        processed_at: new Date().toISOString()
+      };
+      await file.update(({ entries }) => ({ entries: { ...entries, [entry.public_id]: stored } }));
+      return stored;
+    },
+
+    // Follow an asset to its new public_id
+    async rename(fromPublicId, toPublicId) {
+      await file.update(({ entries }) => {
+        if (!entries[fromPublicId]) return null;
+        const next = { ...entries, [toPublicId]: { ...entries[fromPublicId], public_id: toPublicId } };
+        delete next[fromPublicId];
+        return { entries: next };
+      });
+    },
+
+    async remove(publicIds) {
+      await file.update(({ entries }) => {
+        const next = { ...entries };
+        publicIds.forEach(publicId => { delete next[publicId]; });
+        return { entries: next };
+      });
+    }
+  };
+}
+
+let sharedIndex = null;
+
+function getOCRIndex() {
+  if (!sharedIndex) sharedIndex = createOCRIndex();
+  return sharedIndex;
+}
+
+module.exports = {
+  createOCRIndex,
+  getOCRIndex
+};
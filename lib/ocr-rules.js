@@ -0,0 +1,189 @@
+/**
+ * Rules that turn OCR text into name tags, loaded from a JSON file so they can be tuned for a
+ * new composite layout without touching code.
+ *
+ * The file is OCR_RULES_PATH, default config/ocr-rules.json. It is re-read when it changes;
+ * fields it leaves out take the defaults below. Check a change against the sample OCR outputs
+ * in scripts/fixtures/ocr-samples.json with `npm run check-ocr-rules`.
+ *
+ * Extraction, in order:
+ *   1. `remove` patterns are deleted from the whole text
+ *   2. the text is split at every `separators` string and every `labels` match
+ *      (row labels, "L to R:" and the like)
+ *   3. `strip` patterns are deleted from each piece, and whitespace is collapsed
+ *   4. a piece is kept if, with punctuation around it trimmed, it only has `allowedCharacters`,
+ *      at least one letter, `minLength` to `maxLength` characters, at most `maxWords` words, and isn't
+ *      one of the `stopwords`
+ *   5. duplicates (ignoring case) are dropped and the first `maxTags` are returned
+ * Patterns are regular expression sources, matched case-insensitively.
+ */
+
+const path = require('path');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_OCR_RULES_PATH = path.join(process.cwd(), 'config', 'ocr-rules.json');
+const OCR_RULES_VERSION = 1;
+
+// Layout-neutral defaults; the layout-specific rules live in the file
+const DEFAULT_RULES = {
+  remove: [],
+  separators: [',', ';', '\n', '\t'],
+  labels: [],
+  strip: ['\\([^)]*\\)'],
+  stopwords: [],
+  allowedCharacters: "\\p{L}\\s'.\\-",
+  minLength: 3,
+  maxLength: 100,
+  maxWords: 5,
+  maxTags: 30
+};
+
+// Stands in for a label until the text is split
+const LABEL_BREAK = '\u0000';
+
+const PATTERN_LISTS = ['remove', 'labels', 'strip'];
+const STRING_LISTS = ['separators', 'stopwords'];
+const NUMBERS = ['minLength', 'maxLength', 'maxWords', 'maxTags'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(source, field, flags) {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`${field}: ${err.message}`);
+  }
+}
+
+/**
+ * Check rules (as read from the file) and prepare them for generateOCRTags. Missing fields take
+ * the defaults; unknown fields and bad values throw, so a typo doesn't silently change tagging.
+ *
+ * @param {object} [input]
+ * @returns {object} compiled rules
+ */
+function compileRules(input = {}) {
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_RULES));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+  const rules = { ...DEFAULT_RULES, ...input };
+
+  PATTERN_LISTS.concat(STRING_LISTS).forEach(field => {
+    if (!Array.isArray(rules[field]) || !rules[field].every(value => typeof value === 'string' && value !== '')) {
+      throw new Error(`${field} must be a list of non-empty strings`);
+    }
+  });
+  NUMBERS.forEach(field => {
+    if (!Number.isInteger(rules[field]) || rules[field] < 1) {
+      throw new Error(`${field} must be a positive integer`);
+    }
+  });
+  if (rules.minLength > rules.maxLength) {
+    throw new Error('minLength must not be greater than maxLength');
+  }
+  if (typeof rules.allowedCharacters !== 'string' || rules.allowedCharacters === '') {
+    throw new Error('allowedCharacters must be a non-empty character class, e.g. "\\\\p{L}\\\\s\'.\\\\-"');
+  }
+
+  // Compiled one by one first, so an error names the pattern at fault
+  rules.labels.forEach((source, i) => compilePattern(source, `labels[${i}]`, 'giu'));
+
+  const allowed = rules.allowedCharacters;
+  return {
+    remove: rules.remove.map((source, i) => compilePattern(source, `remove[${i}]`, 'giu')),
+    // Labels end a name like separators do; they may have groups of their own, so they are
+    // replaced rather than split on
+    labels: rules.labels.length > 0 ? compilePattern(rules.labels.join('|'), 'labels', 'giu') : null,
+    separators: compilePattern(rules.separators.map(escapeRegExp).concat(LABEL_BREAK).join('|'), 'separators', 'giu'),
+    strip: rules.strip.map((source, i) => compilePattern(source, `strip[${i}]`, 'giu')),
+    allowed: compilePattern(`^[${allowed}]+$`, 'allowedCharacters', 'u'),
+    stopwords: new Set(rules.stopwords.map(word => word.trim().toLowerCase())),
+    minLength: rules.minLength,
+    maxLength: rules.maxLength,
+    maxWords: rules.maxWords,
+    maxTags: rules.maxTags
+  };
+}
+
+// Punctuation and symbols around a name, e.g. the "." ending a caption or a stray "*"
+const SURROUNDING_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+function isName(name, rules) {
+  return name.length >= rules.minLength &&
+    name.length <= rules.maxLength &&
+    name.split(' ').length <= rules.maxWords &&
+    rules.allowed.test(name) &&
+    /\p{L}/u.test(name) &&
+    !rules.stopwords.has(name.toLowerCase());
+}
+
+/**
+ * Names found in OCR text, in the order they appear.
+ *
+ * @param {string} ocrText
+ * @param {object} rules - from compileRules or loadOCRRules
+ * @returns {string[]}
+ */
+function generateOCRTags(ocrText, rules) {
+  if (!ocrText) return [];
+
+  // OCR text that went through a context field can carry escaped newlines and tabs
+  let text = ocrText.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\r\n?/g, '\n');
+  rules.remove.forEach(pattern => {
+    text = text.replace(pattern, '');
+  });
+  if (rules.labels) text = text.replace(rules.labels, LABEL_BREAK);
+
+  const seen = new Set();
+  const tags = [];
+  for (const piece of text.split(rules.separators)) {
+    let name = piece;
+    rules.strip.forEach(pattern => {
+      name = name.replace(pattern, ' ');
+    });
+    name = name.replace(/\s+/g, ' ').replace(SURROUNDING_PUNCTUATION, '');
+
+    if (!isName(name, rules) || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    tags.push(name);
+    if (tags.length >= rules.maxTags) break;
+  }
+  return tags;
+}
+
+let rulesFile;
+let compiledFrom;
+let compiled;
+
+/**
+ * The current rules from OCR_RULES_PATH (or `filePath`), compiled. Without a file, the defaults.
+ * Throws if the file is not valid JSON or has invalid rules.
+ */
+async function loadOCRRules(filePath = process.env.OCR_RULES_PATH || DEFAULT_OCR_RULES_PATH) {
+  if (!rulesFile || rulesFile.filePath !== filePath) {
+    rulesFile = createJsonFile(filePath, { version: OCR_RULES_VERSION, label: 'OCR rules', empty: () => ({}) });
+    compiledFrom = null;
+  }
+
+  // read() hands back the same object until the file changes
+  const data = await rulesFile.read();
+  if (data !== compiledFrom) {
+    try {
+      compiled = compileRules(data);
+    } catch (err) {
+      throw new Error(`Invalid OCR rules in ${filePath}: ${err.message}`);
+    }
+    compiledFrom = data;
+  }
+  return compiled;
+}
+
+module.exports = {
+  compileRules,
+  DEFAULT_RULES,
+  generateOCRTags,
+  loadOCRRules
+};
@@ -0,0 +1,289 @@
+/**
+ * OCR tagging: turns Cloudinary's OCR result for an image into name tags (see lib/ocr-rules.js
+ * for the rules), `ocr_text` and `ocr_names` context values, and an entry in the OCR sidecar index
+ * (lib/ocr-index.js) with the full text and where each name was found.
+ *
+ * Used right after server-side uploads (/api/upload), and after the fact for anything else
+ * (direct uploads, console uploads, old assets) by /api/process-asset, the Cloudinary webhook
+ * and scripts/ocr-backfill.js.
+ *
+ * The `ocr_indexed` tag marks an image as done, whether or not any text was found. It is added
+ * last, so an image whose tagging failed halfway is picked up again, and processAsset skips
+ * marked images unless forced. processAsset then refreshes the image's entry in the local search
+ * index (when there is one), so the names can be searched before the next sync.
+ */
+
+const cloudinary = require('cloudinary').v2;
+const { getCloudinaryConfig } = require('./cloudinary-search');
+const { HttpError } = require('./http-error');
+const { getOCRIndex } = require('./ocr-index');
+const { generateOCRTags, loadOCRRules } = require('./ocr-rules');
+const { getSearchIndex, toIndexDocument } = require('./search-index');
+const { folderOf, isTrashFolder } = require('./search-query');
+const { escapeContextValue } = require('./upload-params');
+
+const OCR_MARKER_TAG = 'ocr_indexed';
+
+// Max OCR characters stored in context (keeps the context payload within Cloudinary limits)
+const MAX_OCR_CONTEXT_LENGTH = 1000;
+
+// Extract OCR text from Cloudinary response
+function extractOCRText(cloudinaryResponse) {
+  if (!cloudinaryResponse.info || !cloudinaryResponse.info.ocr) {
+    console.log('No OCR data in response');
+    return '';
+  }
+
+  const ocrData = cloudinaryResponse.info.ocr;
+  
+  console.log('OCR data available:', JSON.stringify(ocrData).substring(0, 200));
+  
+  // If using adv_ocr, response includes ocr.data with text blocks
+  try {
+    if (ocrData.data && Array.isArray(ocrData.data)) {
+      const text = ocrData.data
+        .map(block => block.text || '')
+        .filter(text => text.length > 0)
+        .join(' ');
+      console.log('Extracted text from OCR data:', text.substring(0, 100));
+      return text;
+    }
+  } catch (e) {
+    console.warn('Error parsing OCR data:', e.message);
+  }
+
+  // adv_ocr: one entry per page, whose first text annotation holds the page's full text
+  const advanced = ocrData.adv_ocr;
+  if (advanced && Array.isArray(advanced.data)) {
+    return advanced.data
+      .map(page => (page.textAnnotations && page.textAnnotations[0] && page.textAnnotations[0].description) || '')
+      .filter(text => text.length > 0)
+      .join('\n');
+  }
+
+  // Fallback for other OCR formats; anything else is not text and would only produce junk tags
+  if (typeof ocrData === 'string') return ocrData;
+  console.warn(`Unrecognized OCR data (status: ${(advanced && advanced.status) || 'unknown'})`);
+  return '';
+}
+
+// Bounding rectangle of a Vision API polygon, in pixels
+function boundsOf(poly) {
+  const vertices = (poly && poly.vertices) || [];
+  if (vertices.length === 0) return null;
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+/**
+ * Words with their positions from adv_ocr data (first page; images have one).
+ * `fullTextAnnotation` also has per-word confidence; plain `textAnnotations` only positions.
+ *
+ * @returns {{ words: Array<{ text, confidence, bounds }>, width: number|null, height: number|null }}
+ */
+function extractOCRWords(ocrData) {
+  const advanced = ocrData && ocrData.adv_ocr;
+  const page = advanced && Array.isArray(advanced.data) ? advanced.data[0] : null;
+  if (!page) return { words: [], width: null, height: null };
+
+  const full = page.fullTextAnnotation;
+  if (full && Array.isArray(full.pages) && full.pages.length > 0) {
+    const words = [];
+    (full.pages[0].blocks || []).forEach(block => (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.words || []).forEach(word => {
+        const bounds = boundsOf(word.boundingBox);
+        if (!bounds) return;
+        words.push({
+          text: (word.symbols || []).map(symbol => symbol.text || '').join(''),
+          confidence: typeof word.confidence === 'number' ? word.confidence : null,
+          bounds
+        });
+      });
+    }));
+    return { words, width: full.pages[0].width || null, height: full.pages[0].height || null };
+  }
+
+  // The first text annotation is the whole text, the others single words
+  const words = (page.textAnnotations || []).slice(1)
+    .map(annotation => ({ text: annotation.description || '', confidence: null, bounds: boundsOf(annotation.boundingPoly) }))
+    .filter(word => word.bounds);
+  return { words, width: null, height: null };
+}
+
+// Letters and digits only, so "O'Neil" matches the words "O", "'", "Neil" as well as "O'Neil,"
+const matchKey = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Where each name appears among the OCR words: one box per occurrence (fractions of the image
+ * size) and the mean confidence of the words it was read from.
+ */
+function locateNames(names, { words, width, height }) {
+  const keyed = words.map(word => ({ ...word, key: matchKey(word.text) })).filter(word => word.key);
+
+  return names.map(name => {
+    const target = matchKey(name);
+    const boxes = [];
+    const confidences = [];
+
+    for (let i = 0; i < keyed.length; i++) {
+      if (!target.startsWith(keyed[i].key)) continue;
+      let joined = '';
+      let j = i;
+      while (j < keyed.length && joined.length < target.length) joined += keyed[j++].key;
+      if (joined !== target) continue;
+
+      const matched = keyed.slice(i, j);
+      matched.forEach(word => { if (word.confidence !== null) confidences.push(word.confidence); });
+      if (width && height) {
+        const x0 = Math.min(...matched.map(word => word.bounds.x0));
+        const y0 = Math.min(...matched.map(word => word.bounds.y0));
+        const x1 = Math.max(...matched.map(word => word.bounds.x1));
+        const y1 = Math.max(...matched.map(word => word.bounds.y1));
+        boxes.push({ x: round(x0 / width, 4), y: round(y0 / height, 4), w: round((x1 - x0) / width, 4), h: round((y1 - y0) / height, 4) });
+      }
+      i = j - 1;
+    }
+
+    const confidence = confidences.length > 0
+      ? round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length, 3)
+      : null;
+    return { name, confidence, boxes };
+  });
+}
+
+/**
+ * Store an image's OCR result: the text and name positions in the sidecar index (lib/ocr-index),
+ * `ocr_text` and `ocr_names` context, then the name tags together with the marker tag. Errors
+ * propagate, so the marker is only set once everything else has been written.
+ *
+ * @param {object} cld - configured Cloudinary SDK
+ * @param {object} resource - the image: public_id, width, height
+ * @param {object} ocrData - Cloudinary `info.ocr`
+ * @returns {Promise<{ text: string, names: object[] }>}
+ */
+async function applyOCR(cld, resource, ocrData) {
+  const publicId = resource.public_id;
+  const ocrText = extractOCRText({ info: { ocr: ocrData } });
+  // Commas would split a name into several tags
+  const tags = generateOCRTags(ocrText, await loadOCRRules()).filter(tag => !tag.includes(','));
+
+  const words = extractOCRWords(ocrData);
+  const names = locateNames(tags, {
+    words: words.words,
+    width: words.width || resource.width,
+    height: words.height || resource.height
+  });
+  await getOCRIndex().put({
+    public_id: publicId,
+    text: ocrText,
+    width: resource.width || words.width,
+    height: resource.height || words.height,
+    names
+  });
+
+  // Searchable text (fulltext mode) and the names, for assets the sidecar index doesn't cover
+  const context = [];
+  const text = ocrText.replace(/\s+/g, ' ').trim().substring(0, MAX_OCR_CONTEXT_LENGTH);
+  if (text) context.push(`ocr_text=${escapeContextValue(text)}`);
+  if (tags.length > 0) context.push(`ocr_names=${escapeContextValue(tags.join(';').substring(0, MAX_OCR_CONTEXT_LENGTH))}`);
+  if (context.length > 0) {
+    await cld.uploader.add_context(context.join('|'), [publicId]);
+  }
+
+  // One call for all of them
+  await cld.uploader.add_tag(tags.concat(OCR_MARKER_TAG).join(','), [publicId]);
+  return { text: ocrText, names };
+}
+
+// The SDK configured from the environment (or `config`, as from getCloudinaryConfig)
+function getCloudinary(config = getCloudinaryConfig()) {
+  if (!config) {
+    throw new Error('Missing Cloudinary environment variables');
+  }
+  cloudinary.config({
+    cloud_name: config.cloudName,
+    api_key: config.apiKey,
+    api_secret: config.apiSecret,
+    secure: true
+  });
+  return cloudinary;
+}
+
+// Bring the image's search index entry up to date with its new tags and context. Failures are
+// logged only: the OCR result itself has been saved in Cloudinary.
+async function refreshSearchIndex(cld, publicId) {
+  try {
+    const index = await getSearchIndex();
+    if (!index) return;
+    const resource = await cld.api.resource(publicId, { resource_type: 'image', type: 'upload' });
+    if (isTrashFolder(folderOf(resource))) return;
+    index.upsert([toIndexDocument(resource)]);
+    await index.flush();
+  } catch (err) {
+    console.error(`Failed to update the search index after OCR of ${publicId}:`, err);
+  }
+}
+
+// HTTP status of a rejected SDK call, if it has one
+function sdkStatus(err) {
+  return err && (err.http_code || (err.error && err.error.http_code));
+}
+
+/**
+ * Run OCR tagging for one image, unless it already carries the marker tag.
+ *
+ * Uses, in order: `options.ocr` (OCR data the caller already has, e.g. from a verified webhook),
+ * OCR data stored with the asset, or a new `explicit` OCR run (billed as an add-on call).
+ *
+ * @param {string} publicId
+ * @param {object} [options]
+ * @param {boolean} [options.force] - process again even if the image is marked
+ * @param {object} [options.ocr] - Cloudinary `info.ocr` data for this image
+ * @param {object} [options.config] - Cloudinary credentials (default: environment)
+ * @returns {Promise<{ public_id, status: 'processed'|'already_indexed'|'skipped', tags?, text_length?, reason? }>}
+ */
+async function processAsset(publicId, options = {}) {
+  const cld = getCloudinary(options.config);
+
+  let resource;
+  try {
+    resource = await cld.api.resource(publicId, { resource_type: 'image', type: 'upload' });
+  } catch (err) {
+    if (sdkStatus(err) === 404) {
+      throw new HttpError(404, 'Image not found', 'NOT_FOUND');
+    }
+    throw err;
+  }
+
+  if (resource.format === 'pdf') {
+    return { public_id: publicId, status: 'skipped', reason: 'PDFs are not OCR-tagged' };
+  }
+  if (!options.force && (resource.tags || []).includes(OCR_MARKER_TAG)) {
+    return { public_id: publicId, status: 'already_indexed' };
+  }
+
+  let ocr = options.ocr || (resource.info && resource.info.ocr);
+  if (!ocr) {
+    const result = await cld.uploader.explicit(publicId, { type: 'upload', resource_type: 'image', ocr: 'adv_ocr' });
+    ocr = result.info && result.info.ocr;
+  }
+
+  const { text, names } = await applyOCR(cld, resource, ocr);
+  await refreshSearchIndex(cld, publicId);
+  const tags = names.map(entry => entry.name);
+  console.log(`OCR processed ${publicId}: ${tags.length} tags, ${text.length} characters`);
+  return { public_id: publicId, status: 'processed', tags, text_length: text.length };
+}
+
+module.exports = {
+  applyOCR,
+  extractOCRText,
+  extractOCRWords,
+  locateNames,
+  OCR_MARKER_TAG,
+  processAsset,
+  sdkStatus
+};
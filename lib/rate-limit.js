@@ -0,0 +1,263 @@
+/**
+ * Token-bucket rate limiting for the API routes.
+ *
+ * Each route names a policy (`search`, `upload`, ...). A policy is a bucket of `limit` tokens
+ * that refills completely over `window` seconds; every request takes one token. Buckets are kept
+ * per policy and caller: the signed-in user when the request carries a valid session token,
+ * otherwise the client IP.
+ *
+ * Override policies with RATE_LIMITS, e.g. `search=60/60,upload=20/60,session=10/600`
+ * (limit/window-in-seconds per policy).
+ *
+ * Stores are pluggable, like the search index backends. Built in:
+ * - `memory` - per process (default; on Vercel each warm instance has its own buckets)
+ * - `file`   - JSON file shared by processes on one machine (RATE_LIMIT_PATH, default data/rate-limits.json)
+ * - `none`   - disables rate limiting
+ * createRedisStore(client) works with any Redis-compatible client that has
+ * `eval(script, numKeys, ...args)` (ioredis, Upstash); register it with
+ * registerStore('redis', () => createRedisStore(client)) and set RATE_LIMIT_STORE=redis.
+ * A store implements take(key, policy, now) -> { allowed, remaining, retryAfterMs, resetMs }.
+ */
+
+const path = require('path');
+const { getAuthSecret, verifySessionToken } = require('./auth');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_RATE_LIMIT_PATH = path.join(process.cwd(), 'data', 'rate-limits.json');
+const RATE_LIMITS_VERSION = 1;
+
+// limit = bucket size, window = seconds to refill an empty bucket
+const DEFAULT_POLICIES = {
+  default: { limit: 120, window: 60 },
+  search: { limit: 60, window: 60 },
+  suggest: { limit: 120, window: 60 },
+  upload: { limit: 20, window: 60 },
+  // Every direct upload asks for a signature, and long chunked uploads ask again
+  'sign-upload': { limit: 120, window: 60 },
+  // Each call may run a billed OCR pass
+  'process-asset': { limit: 30, window: 60 },
+  // Each call can edit a batch of assets through the Admin API
+  bulk: { limit: 30, window: 60 },
+  // Each call fetches a batch of files from Cloudinary
+  export: { limit: 30, window: 60 },
+  // Opening a share link loads every thumbnail in it, one request each
+  share: { limit: 300, window: 60 },
+  // Sign-in attempts, per IP: slows down password guessing
+  session: { limit: 10, window: 600 }
+};
+
+function parsePolicies(value) {
+  const policies = {};
+  (value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(/^([a-z0-9-]+)\s*=\s*(\d+)\s*\/\s*(\d+)$/i);
+    if (!match || parseInt(match[2], 10) < 1 || parseInt(match[3], 10) < 1) {
+      console.warn(`Ignoring invalid RATE_LIMITS entry "${part}" (expected name=limit/seconds)`);
+      return;
+    }
+    policies[match[1].toLowerCase()] = { limit: parseInt(match[2], 10), window: parseInt(match[3], 10) };
+  });
+  return policies;
+}
+
+// Parsed once per RATE_LIMITS value, so a bad entry is reported once rather than per request
+let policiesSource;
+let policies;
+
+function getPolicy(name) {
+  if (policies === undefined || policiesSource !== process.env.RATE_LIMITS) {
+    policiesSource = process.env.RATE_LIMITS;
+    policies = { ...DEFAULT_POLICIES, ...parsePolicies(policiesSource) };
+  }
+  return policies[name] || policies.default;
+}
+
+// Refill a bucket for the time elapsed and try to take one token
+function takeToken(bucket, policy, now) {
+  const ratePerMs = policy.limit / (policy.window * 1000);
+  const elapsed = bucket ? Math.max(0, now - bucket.updated) : 0;
+  const tokens = bucket ? Math.min(policy.limit, bucket.tokens + elapsed * ratePerMs) : policy.limit;
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+  const resetMs = Math.ceil((policy.limit - left) / ratePerMs);
+
+  return {
+    // `full_at`: once the bucket would be full again it carries no information and can be dropped
+    bucket: { tokens: left, updated: now, full_at: now + resetMs },
+    result: {
+      allowed,
+      remaining: Math.floor(left),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - left) / ratePerMs),
+      resetMs
+    }
+  };
+}
+
+function createMemoryStore() {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  return {
+    async take(key, policy, now) {
+      const { bucket, result } = takeToken(buckets.get(key), policy, now);
+      buckets.set(key, bucket);
+
+      // Drop full buckets now and then so the map doesn't grow with every IP seen
+      if (now - lastSweep > 60 * 1000) {
+        for (const [k, b] of buckets) {
+          if (b.full_at <= now) buckets.delete(k);
+        }
+        lastSweep = now;
+      }
+      return result;
+    }
+  };
+}
+
+// JSON file store. Takes are serialized within a process, but the file isn't locked: good enough
+// to share buckets between a few processes on one machine, not a substitute for Redis across many
+// instances.
+function createFileStore(options = {}) {
+  const file = createJsonFile(options.path || process.env.RATE_LIMIT_PATH || DEFAULT_RATE_LIMIT_PATH, {
+    version: RATE_LIMITS_VERSION,
+    label: 'rate limit',
+    empty: () => ({ buckets: {} })
+  });
+
+  return {
+    filePath: file.filePath,
+    async take(key, policy, now) {
+      let result;
+      await file.update(data => {
+        const buckets = {};
+        for (const [k, b] of Object.entries(data.buckets || {})) {
+          if (b.full_at > now) buckets[k] = b;
+        }
+        const taken = takeToken(buckets[key], policy, now);
+        buckets[key] = taken.bucket;
+        result = taken.result;
+        return { buckets };
+      });
+      return result;
+    }
+  };
+}
+
+// Same algorithm as takeToken, run atomically inside Redis
+const REDIS_TAKE_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window_ms = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local rate = limit / window_ms
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(state[1])
+local updated = tonumber(state[2])
+if tokens == nil then
+  tokens = limit
+else
+  tokens = math.min(limit, tokens + math.max(0, now - updated) * rate)
+end
+local allowed = 0
+if tokens >= 1 then
+  allowed = 1
+  tokens = tokens - 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], window_ms)
+return { allowed, tostring(tokens) }
+`;
+
+function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+  return {
+    async take(key, policy, now) {
+      const windowMs = policy.window * 1000;
+      const [allowed, tokens] = await client.eval(REDIS_TAKE_SCRIPT, 1, prefix + key, policy.limit, windowMs, now);
+      const left = parseFloat(tokens);
+      const ratePerMs = policy.limit / windowMs;
+      return {
+        allowed: Number(allowed) === 1,
+        remaining: Math.floor(left),
+        retryAfterMs: Number(allowed) === 1 ? 0 : Math.ceil((1 - left) / ratePerMs),
+        resetMs: Math.ceil((policy.limit - left) / ratePerMs)
+      };
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  none: () => null
+};
+
+// Register an additional store factory, e.g. registerStore('redis', () => createRedisStore(client))
+function registerStore(name, factory) {
+  stores[name] = factory;
+}
+
+let sharedStore;
+let sharedStoreName;
+
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  if (sharedStoreName !== name) {
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(stores).join(', ')}`);
+    }
+    sharedStore = factory();
+    sharedStoreName = name;
+  }
+  return sharedStore;
+}
+
+// The caller's IP: the first X-Forwarded-For address (set by Vercel), else the socket's
+function clientIp(req) {
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Who a request is counted against. Only checks the session token's signature and type; whether the account is
+// still active is lib/auth's job, and a bad token simply falls back to the IP.
+function identify(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const secret = getAuthSecret();
+  const payload = match && secret ? verifySessionToken(match[1], secret) : null;
+  if (payload) return `user:${payload.sub}`;
+  return `ip:${clientIp(req)}`;
+}
+
+/**
+ * Take a token for this request from the policy's bucket and set the X-RateLimit-* headers.
+ * Returns the store's result (with `policy`), or null when rate limiting is off. Store errors
+ * are logged and the request is let through rather than failing the API.
+ */
+async function checkRateLimit(req, res, policyName) {
+  const policy = getPolicy(policyName);
+  let result;
+  try {
+    const store = getStore();
+    if (!store) return null;
+    result = await store.take(`${policyName}:${identify(req)}`, policy, Date.now());
+  } catch (err) {
+    console.error('Rate limit store error:', err);
+    return null;
+  }
+
+  res.setHeader('X-RateLimit-Limit', String(policy.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))));
+  }
+  return { ...result, policy };
+}
+
+module.exports = {
+  checkRateLimit,
+  clientIp,
+  createFileStore,
+  createMemoryStore,
+  createRedisStore,
+  getPolicy,
+  registerStore
+};
@@ -0,0 +1,134 @@
+/**
+ * Named saved searches ("all 1995 initiation photos") shared by everyone using the search page.
+ *
+ * Stored as a flat JSON file (SAVED_SEARCHES_PATH, default data/saved-searches.json), see
+ * lib/json-file.js.
+ * Vercel's filesystem is ephemeral, so production deployments should point SAVED_SEARCHES_PATH
+ * at persistent storage.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { HttpError } = require('./http-error');
+const { createJsonFile } = require('./json-file');
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), 'data', 'saved-searches.json');
+const STORE_VERSION = 1;
+
+const MAX_SAVED_SEARCHES = 200;
+const MAX_NAME_LENGTH = 100;
+
+// Search state a saved search may carry; same names as the /api/search parameters
+const STATE_FIELDS = {
+  q: 500,
+  mode: 20,
+  fuzzy: 5,
+  folder: 200,
+  sort: 20,
+  order: 4,
+  date_field: 20,
+  from: 10,
+  to: 10
+};
+
+class SavedSearchError extends HttpError {
+  constructor(status, message, code) {
+    super(status, message, code);
+    this.name = 'SavedSearchError';
+  }
+}
+
+// Keep only known, non-empty string fields within their length limits
+function normalizeState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new SavedSearchError(400, 'state must be an object', 'INVALID_PARAMETER');
+  }
+
+  const normalized = {};
+  for (const [field, maxLength] of Object.entries(STATE_FIELDS)) {
+    if (state[field] === undefined || state[field] === null || state[field] === '') continue;
+    const value = String(state[field]).trim();
+    if (value.length > maxLength) {
+      throw new SavedSearchError(400, `state.${field} must be at most ${maxLength} characters`, 'INVALID_PARAMETER');
+    }
+    if (value) normalized[field] = value;
+  }
+
+  if (!['q', 'folder', 'from', 'to'].some(field => normalized[field])) {
+    throw new SavedSearchError(400, 'A saved search needs a query, folder or date range', 'INVALID_PARAMETER');
+  }
+  return normalized;
+}
+
+function createSavedSearchStore(options = {}) {
+  const filePath = options.path || process.env.SAVED_SEARCHES_PATH || DEFAULT_STORE_PATH;
+  const file = createJsonFile(filePath, { version: STORE_VERSION, label: 'saved searches', empty: () => ({ searches: [] }) });
+
+  return {
+    filePath,
+
+    // All saved searches, alphabetical by name
+    async list() {
+      const { searches } = await file.read();
+      return [...searches].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id) {
+      const { searches } = await file.read();
+      return searches.find(s => s.id === id) || null;
+    },
+
+    async create({ name, state, createdBy }) {
+      const trimmedName = String(name || '').trim();
+      if (!trimmedName) {
+        throw new SavedSearchError(400, 'name is required', 'INVALID_PARAMETER');
+      }
+      if (trimmedName.length > MAX_NAME_LENGTH) {
+        throw new SavedSearchError(400, `name must be at most ${MAX_NAME_LENGTH} characters`, 'INVALID_PARAMETER');
+      }
+      const search = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: trimmedName,
+        state: normalizeState(state),
+        created_by: createdBy || null,
+        created_at: new Date().toISOString()
+      };
+
+      await file.update(({ searches }) => {
+        const existing = searches.find(s => s.name.toLowerCase() === trimmedName.toLowerCase());
+        if (existing) {
+          throw new SavedSearchError(409, `A saved search named "${existing.name}" already exists`, 'DUPLICATE_NAME');
+        }
+        if (searches.length >= MAX_SAVED_SEARCHES) {
+          throw new SavedSearchError(409, `Too many saved searches (max ${MAX_SAVED_SEARCHES}); delete some first`, 'STORE_FULL');
+        }
+        return { searches: [...searches, search] };
+      });
+      return search;
+    },
+
+    // Returns true if something was deleted
+    async remove(id) {
+      const next = await file.update(({ searches }) => {
+        const remaining = searches.filter(s => s.id !== id);
+        return remaining.length === searches.length ? null : { searches: remaining };
+      });
+      return Boolean(next);
+    }
+  };
+}
+
+// Process-wide store configured from the environment
+let sharedStore = null;
+
+function getSavedSearchStore() {
+  if (!sharedStore) sharedStore = createSavedSearchStore();
+  return sharedStore;
+}
+
+module.exports = {
+  createSavedSearchStore,
+  getSavedSearchStore,
+  SavedSearchError,
+  STATE_FIELDS
+};
@@ -0,0 +1,158 @@
+/**
+ * Local search index: a mirror of asset metadata that /api/search can query instead of
+ * calling the Cloudinary Search API for every request.
+ *
+ * Backends are pluggable. Built in:
+ * - `json`   - flat JSON file (SEARCH_INDEX_PATH, default data/search-index.json)
+ * - `memory` - in-process only, useful for development and the sync job's dry runs
+ *
+ * Other stores (e.g. SQLite) can be added with registerBackend(name, factory). A backend
+ * implements: load(), all(), get(publicId), upsert(docs), remove(publicIds),
+ * getMeta(), setMeta(meta) and flush().
+ *
+ * Configure with SEARCH_INDEX_BACKEND; when it is unset the index is disabled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { folderOf } = require('./search-query');
+
+const DEFAULT_INDEX_PATH = path.join(process.cwd(), 'data', 'search-index.json');
+const INDEX_VERSION = 1;
+
+// Keep only what search needs from a Cloudinary resource
+function toIndexDocument(resource) {
+  const context = resource.context || {};
+  return {
+    asset_id: resource.asset_id,
+    public_id: resource.public_id,
+    resource_type: resource.resource_type,
+    type: resource.type,
+    format: resource.format,
+    width: resource.width,
+    height: resource.height,
+    bytes: resource.bytes,
+    duration: resource.duration,
+    created_at: resource.created_at,
+    secure_url: resource.secure_url || resource.url,
+    thumbnail_url: resource.thumbnail_url || null,
+    etag: resource.etag || null,
+    folder: folderOf(resource),
+    tags: resource.tags || [],
+    // The Admin API nests context under `custom`; the Search API does not
+    context: context.custom ? { ...context.custom } : { ...context },
+    metadata: resource.metadata || {}
+  };
+}
+
+function createMemoryBackend() {
+  let docs = new Map();
+  let meta = {};
+
+  return {
+    async load() {},
+    all() {
+      return Array.from(docs.values());
+    },
+    get(publicId) {
+      return docs.get(publicId) || null;
+    },
+    upsert(resources) {
+      resources.forEach(r => docs.set(r.public_id, r));
+    },
+    remove(publicIds) {
+      publicIds.forEach(id => docs.delete(id));
+    },
+    getMeta() {
+      return { ...meta };
+    },
+    setMeta(next) {
+      meta = { ...meta, ...next };
+    },
+    async flush() {},
+    // Used by the JSON backend to swap in data read from disk
+    _replace(nextDocs, nextMeta) {
+      docs = new Map(nextDocs.map(d => [d.public_id, d]));
+      meta = nextMeta || {};
+    }
+  };
+}
+
+// JSON file backend. The file is re-read when it changes on disk, so a sync job running in
+// another process is picked up without restarting the server.
+function createJsonBackend(options = {}) {
+  const filePath = options.path || process.env.SEARCH_INDEX_PATH || DEFAULT_INDEX_PATH;
+  const memory = createMemoryBackend();
+  let loadedMtime = null;
+
+  return {
+    ...memory,
+    filePath,
+    async load() {
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+      }
+      if (loadedMtime === stats.mtimeMs) return;
+
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (data.version !== INDEX_VERSION) {
+        throw new Error(`Unsupported search index version ${data.version} in ${filePath}`);
+      }
+      memory._replace(data.documents || [], data.meta);
+      loadedMtime = stats.mtimeMs;
+    },
+    async flush() {
+      const data = { version: INDEX_VERSION, meta: memory.getMeta(), documents: memory.all() };
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file and rename so readers never see a half-written index
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+      await fs.promises.rename(tmpPath, filePath);
+      loadedMtime = (await fs.promises.stat(filePath)).mtimeMs;
+    }
+  };
+}
+
+const backends = {
+  memory: createMemoryBackend,
+  json: createJsonBackend
+};
+
+// Register an additional backend factory, e.g. registerBackend('sqlite', options => ...)
+function registerBackend(name, factory) {
+  backends[name] = factory;
+}
+
+function createSearchIndex(name, options = {}) {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown search index backend "${name}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory(options);
+}
+
+// Process-wide index configured from the environment, or null when SEARCH_INDEX_BACKEND is unset
+let sharedIndex = null;
+
+async function getSearchIndex() {
+  const name = process.env.SEARCH_INDEX_BACKEND;
+  if (!name) return null;
+
+  if (!sharedIndex || sharedIndex.backendName !== name) {
+    sharedIndex = createSearchIndex(name);
+    sharedIndex.backendName = name;
+  }
+  await sharedIndex.load();
+  return sharedIndex;
+}
+
+module.exports = {
+  createSearchIndex,
+  getSearchIndex,
+  registerBackend,
+  toIndexDocument
+};
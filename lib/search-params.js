@@ -0,0 +1,156 @@
+/**
+ * Search parameters shared by /api/search (a page of results) and /api/export (every match, as a
+ * ZIP), so an export contains exactly what the same search shows.
+ *
+ * parseSearchFilters() reads and validates `q`, `mode`, `fuzzy`, `folder`, `date_field`, `from`
+ * and `to` into query trees (lib/search-query.js). The query itself is kept apart from the folder and date
+ * filters because only the query is expanded with fuzzy matches (applyFuzzyMatching).
+ *
+ * Every way a query can be refused is found while parsing, so both routes answer a bad query with
+ * 400 QUERY_SYNTAX_ERROR here, before anything is compiled or searched.
+ */
+
+const {
+  andNodes,
+  createdAtRange,
+  fieldNode,
+  parseQuery,
+  QuerySyntaxError,
+  TRASH_EXCLUSION
+} = require('./search-query');
+const { findSimilar } = require('./fuzzy');
+const { HttpError } = require('./http-error');
+const { getNameVocabulary } = require('./vocabulary');
+
+const SEARCH_MODES = ['tags', 'fulltext'];
+const DATE_FIELDS = ['created_at', 'tapYear'];
+const EARLIEST_TAP_YEAR = 1900;
+
+// Base clause: only images and videos (audio and PDFs are stored as video and image assets),
+// and nothing in the trash
+const BASE_EXPRESSION = `(resource_type:image OR resource_type:video) AND ${TRASH_EXCLUSION}`;
+
+class InvalidParameterError extends HttpError {
+  constructor(message) {
+    super(400, message, 'INVALID_PARAMETER');
+  }
+}
+
+// created_at range query node; `to` includes the whole day
+function buildCreatedAtRange(from, to) {
+  const parseDate = (value, name) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime())) {
+      throw new InvalidParameterError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+    return date;
+  };
+
+  const start = from ? parseDate(from, 'from') : null;
+  const end = to ? new Date(parseDate(to, 'to').getTime() + 24 * 60 * 60 * 1000 - 1000) : null;
+  return createdAtRange(start, end);
+}
+
+// tapYear range, built with the query language's year:FROM..TO filter
+function buildTapYearRange(from, to) {
+  const parseYear = (value, name) => {
+    if (!/^\d{4}$/.test(value)) throw new InvalidParameterError(`${name} must be a 4-digit year when date_field is tapYear`);
+    return parseInt(value, 10);
+  };
+  const fromYear = from ? parseYear(from, 'from') : EARLIEST_TAP_YEAR;
+  const toYear = to ? parseYear(to, 'to') : new Date().getFullYear();
+  if (fromYear > toYear) throw new InvalidParameterError('from must not be later than to');
+  return parseQuery(`year:${fromYear}..${toYear}`);
+}
+
+// Misspelled variants added per search phrase, and "did you mean" suggestions returned
+const MAX_FUZZY_VARIANTS = 5;
+const MAX_SUGGESTIONS = 5;
+
+// Expand free-text nodes with known tags/names that are close misspellings (OCR typos such as
+// "Jonh Smtih" for "John Smith"), and collect them as "did you mean" suggestions.
+// Negated text is left alone so `-smith` doesn't start excluding look-alikes.
+async function applyFuzzyMatching(ast) {
+  const vocabulary = await getNameVocabulary();
+  const suggestions = new Map();
+
+  const expand = (node) => {
+    if (!node || vocabulary.length === 0) return node;
+    if (node.type === 'not') return node;
+    if (node.children) return { ...node, children: node.children.map(expand) };
+    if (node.type !== 'text') return node;
+
+    const variants = findSimilar(node.value, vocabulary, MAX_FUZZY_VARIANTS * 2)
+      .filter(match => !match.exact)
+      .slice(0, MAX_FUZZY_VARIANTS);
+
+    variants.forEach(match => {
+      const key = match.text.toLowerCase();
+      if (!suggestions.has(key) || suggestions.get(key).distance > match.distance) {
+        suggestions.set(key, { text: match.text, distance: match.distance });
+      }
+    });
+
+    const tagNodes = variants.map(match => fieldNode('tag', match.text)).filter(Boolean);
+    return tagNodes.length ? { type: 'or', children: [node, ...tagNodes] } : node;
+  };
+
+  return {
+    ast: expand(ast),
+    suggestions: Array.from(suggestions.values())
+      .sort((a, b) => a.distance - b.distance || a.text.localeCompare(b.text))
+      .slice(0, MAX_SUGGESTIONS)
+  };
+}
+
+/**
+ * Read the search filters from a request.
+ *
+ * @param {function} getParam - (name) => the raw parameter value, from the query string or body
+ * @returns {{ q: string, mode: string, fuzzy: boolean, folder?: string, dateField: string,
+ *   from?: string, to?: string, queryAst: object|null, filtersAst: object|null }} `filtersAst` is the folder and
+ *   date filters; andNodes(queryAst, filtersAst) is the whole search
+ * @throws {HttpError} 400 INVALID_PARAMETER, 400 QUERY_SYNTAX_ERROR (with the error's position)
+ */
+function parseSearchFilters(getParam) {
+  const q = (getParam('q') || '').toString().trim();
+  const mode = (getParam('mode') || 'tags').toString().trim().toLowerCase();
+  const fuzzy = ['1', 'true'].includes((getParam('fuzzy') || '').toString().trim().toLowerCase());
+  const folder = (getParam('folder') || '').toString().trim() || undefined;
+  const dateField = (getParam('date_field') || 'created_at').toString().trim();
+  const from = (getParam('from') || '').toString().trim() || undefined;
+  const to = (getParam('to') || '').toString().trim() || undefined;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new InvalidParameterError(`Invalid mode. Use one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (!DATE_FIELDS.includes(dateField)) {
+    throw new InvalidParameterError(`Invalid date_field. Use one of: ${DATE_FIELDS.join(', ')}`);
+  }
+
+  try {
+    const queryAst = parseQuery(q);
+    const folderAst = folder ? parseQuery(`folder:"${folder.replace(/"/g, '')}"`) : null;
+    let dateAst = null;
+    if (from || to) {
+      dateAst = dateField === 'tapYear' ? buildTapYearRange(from, to) : buildCreatedAtRange(from, to);
+    }
+    return { q, mode, fuzzy, folder, dateField, from, to, queryAst, filtersAst: andNodes(folderAst, dateAst) };
+  } catch (err) {
+    if (err instanceof QuerySyntaxError) {
+      throw new HttpError(400, 'Invalid search query', 'QUERY_SYNTAX_ERROR', {
+        message: err.message, position: err.position, token: err.token
+      });
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  applyFuzzyMatching,
+  BASE_EXPRESSION,
+  DATE_FIELDS,
+  InvalidParameterError,
+  parseSearchFilters,
+  SEARCH_MODES
+};
@@ -0,0 +1,623 @@
+/**
+ * Search query language for /api/search
+ *
+ * Parses queries such as
+ *   year:1998 type:video tag:"Homecoming" -tag:draft folder:Archives/*
+ * into an AST and compiles it into a Cloudinary search expression.
+ *
+ * Syntax:
+ * - `field:value` or `field:"quoted phrase"` filters (see FIELDS)
+ * - bare words and "quoted phrases" search text (tags only, or tags + context + OCR in fulltext mode)
+ * - `-term` / `NOT term` negation, `AND` (implicit between terms), `OR`, parentheses
+ *
+ * Values are validated against a per-field character whitelist and always re-emitted
+ * by the compiler, so user input can never inject raw expression fragments.
+ *
+ * The same AST can also be compiled into a JavaScript predicate (compilePredicate) that
+ * evaluates it against resources held in the local search index.
+ */
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 32;
+const MAX_DEPTH = 8;
+const MAX_YEAR_SPAN = 150;
+
+// Fields searched by bare text in fulltext mode, highest ranked first.
+// `weight` is used by /api/search to rank results by where the match was found.
+const FULLTEXT_FIELDS = [
+  { field: 'tags', weight: 60 },
+  { field: 'name', weight: 50 },
+  { field: 'tapYear', weight: 40 },
+  { field: 'caption', weight: 30 },
+  { field: 'alt', weight: 20 },
+  { field: 'raw_description', weight: 15 },
+  { field: 'ocr_text', weight: 10 }
+];
+
+const MEDIA_TYPES = {
+  image: '(resource_type:image AND NOT format:pdf)',
+  video: '(resource_type:video AND NOT tags:audio)',
+  audio: '(resource_type:video AND tags:audio)',
+  pdf: '(resource_type:image AND format:pdf)'
+};
+
+// Characters allowed in free-text values (letters, digits, space and common name punctuation)
+const TEXT_VALUE = /^[\p{L}\p{N} _\-.'&]+$/u;
+// Cloudinary's reserved characters, escaped with a backslash in values that can't be quoted
+// (prefix matches: inside quotes the `*` would be matched literally)
+const RESERVED_CHARACTERS = /[!(){}[\]*^~?:\\=&><"+-]/g;
+const FOLDER_VALUE = /^[\p{L}\p{N} _\-.'&/]+$/u;
+
+class QuerySyntaxError extends Error {
+  constructor(message, position, token) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+    this.token = token;
+  }
+}
+
+// Context values from the Search API (`context.key`) or the Admin API (`context.custom.key`)
+function contextValue(resource, key) {
+  const context = resource.context || {};
+  const value = context[key] !== undefined ? context[key] : (context.custom || {})[key];
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Fixed folder mode reports `folder`, dynamic folder mode `asset_folder`; fall back to the public_id path
+function folderOf(resource) {
+  if (resource.asset_folder || resource.folder) return resource.asset_folder || resource.folder;
+  const publicId = resource.public_id || '';
+  return publicId.includes('/') ? publicId.slice(0, publicId.lastIndexOf('/')) : '';
+}
+
+// Trashed assets (lib/trash.js) are kept under this folder until they are purged, out of searches
+const TRASH_FOLDER = '_trash';
+const TRASH_EXCLUSION = `-folder:${TRASH_FOLDER} AND -folder:${TRASH_FOLDER}/*`;
+
+function isTrashFolder(folder) {
+  return folder === TRASH_FOLDER || (folder || '').startsWith(`${TRASH_FOLDER}/`);
+}
+
+// Media type as shown to users (audio and PDFs are stored as video and image assets)
+function mediaTypeOf(resource) {
+  const tags = resource.tags || [];
+  if (resource.resource_type === 'video') return tags.includes('audio') ? 'audio' : 'video';
+  if (resource.format === 'pdf' || tags.includes('pdf')) return 'pdf';
+  return resource.resource_type || 'image';
+}
+
+const words = (value) => String(value || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Local equivalent of Cloudinary's tokenized `field:value` / `field:value*` match
+function textMatches(value, { base, wildcard }) {
+  const haystack = words(value);
+  const needle = words(base);
+  if (needle.length === 0) return false;
+  if (wildcard) return haystack.some(word => word.startsWith(needle[0]));
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((word, j) => haystack[i + j] === word)) return true;
+  }
+  return false;
+}
+
+// Field definitions: `validate` returns the normalized value or throws,
+// `compile` turns a validated value into an expression fragment and
+// `matches` evaluates it against a resource in the local index
+const FIELDS = {
+  year: {
+    wildcard: false,
+    validate(value, token) {
+      const range = value.match(/^(\d{4})\.\.(\d{4})$/);
+      if (range) {
+        const from = parseInt(range[1], 10);
+        const to = parseInt(range[2], 10);
+        if (from > to || to - from > MAX_YEAR_SPAN) {
+          throw new QuerySyntaxError(`Invalid year range "${value}"`, token.position, token.text);
+        }
+        return { from, to };
+      }
+      if (!/^\d{4}$/.test(value)) {
+        throw new QuerySyntaxError(`year must be a 4-digit year or a range like 1990..1995, got "${value}"`, token.position, token.text);
+      }
+      return { from: parseInt(value, 10), to: parseInt(value, 10) };
+    },
+    compile({ from, to }) {
+      const years = [];
+      for (let y = from; y <= to; y++) years.push(`context.tapYear:"${y}"`);
+      return years.length === 1 ? years[0] : `(${years.join(' OR ')})`;
+    },
+    matches({ from, to }, resource) {
+      const year = parseInt(contextValue(resource, 'tapYear'), 10);
+      return year >= from && year <= to;
+    }
+  },
+  type: {
+    wildcard: false,
+    validate(value, token) {
+      const type = value.toLowerCase();
+      if (!MEDIA_TYPES[type]) {
+        throw new QuerySyntaxError(`type must be one of ${Object.keys(MEDIA_TYPES).join(', ')}, got "${value}"`, token.position, token.text);
+      }
+      return type;
+    },
+    compile(type) {
+      return MEDIA_TYPES[type];
+    },
+    matches(type, resource) {
+      return mediaTypeOf(resource) === type;
+    }
+  },
+  format: {
+    wildcard: false,
+    validate(value, token) {
+      if (!/^[a-z0-9]{1,10}$/i.test(value)) {
+        throw new QuerySyntaxError(`Invalid format "${value}"`, token.position, token.text);
+      }
+      return value.toLowerCase();
+    },
+    compile(format) {
+      return `format:${format}`;
+    },
+    matches(format, resource) {
+      return (resource.format || '').toLowerCase() === format;
+    }
+  },
+  tag: textField('tags', TEXT_VALUE, resource => resource.tags || []),
+  name: textField('context.name', TEXT_VALUE, resource => contextValue(resource, 'name')),
+  caption: textField('context.caption', TEXT_VALUE, resource => contextValue(resource, 'caption')),
+  folder: {
+    wildcard: true,
+    validate(value, token) {
+      const { base, wildcard } = splitWildcard(value);
+      if (!base || !FOLDER_VALUE.test(base) || base.includes('..')) {
+        throw new QuerySyntaxError(`Invalid folder "${value}"`, token.position, token.text);
+      }
+      return { base: base.replace(/^\/+|\/+$/g, ''), wildcard };
+    },
+    compile({ base, wildcard }) {
+      return wildcard ? `folder:"${base}/*"` : `folder:"${base}"`;
+    },
+    matches({ base, wildcard }, resource) {
+      const folder = folderOf(resource).toLowerCase();
+      const target = base.toLowerCase();
+      return folder === target || (wildcard && folder.startsWith(`${target}/`));
+    }
+  }
+};
+
+// A field compared against a text value; a trailing `*` turns it into a prefix match
+function textField(target, pattern, valuesOf) {
+  return {
+    wildcard: true,
+    validate(value, token) {
+      const { base, wildcard } = splitWildcard(value);
+      if (!base || !pattern.test(base)) {
+        throw new QuerySyntaxError(`Invalid value "${value}" - only letters, digits, spaces and - _ . ' & are allowed`, token.position, token.text);
+      }
+      if (wildcard && /\s/.test(base)) {
+        throw new QuerySyntaxError(`Wildcards cannot be used with phrases ("${value}")`, token.position, token.text);
+      }
+      return { base, wildcard };
+    },
+    compile({ base, wildcard }) {
+      return wildcard ? `${target}:${base.replace(RESERVED_CHARACTERS, '\\$&')}*` : `${target}:"${base}"`;
+    },
+    matches(value, resource) {
+      return [].concat(valuesOf(resource)).some(v => textMatches(v, value));
+    }
+  };
+}
+
+function splitWildcard(value) {
+  const wildcard = value.endsWith('*');
+  return { base: (wildcard ? value.slice(0, -1) : value).replace(/\/$/, '').trim(), wildcard };
+}
+
+// Split free text into fulltext search terms. Only letters and digits survive.
+function tokenizeText(text) {
+  return Array.from(new Set(
+    text.toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length > 0)
+  ));
+}
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QuerySyntaxError('Unterminated quoted phrase', start, input.slice(start));
+    }
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ kind: ch === '(' ? 'LPAREN' : 'RPAREN', position: i, text: ch });
+      i++;
+      continue;
+    }
+
+    // A leading "-" negates the following term
+    if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ kind: 'NOT', position: i, text: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const { value, end } = readPhrase(i);
+      tokens.push({ kind: 'TERM', field: null, value, phrase: true, position: i, text: input.slice(i, end) });
+      i = end;
+      continue;
+    }
+
+    // Plain word, possibly "field:value" or "field:"phrase""
+    const start = i;
+    while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+    const word = input.slice(start, i);
+    const colon = word.indexOf(':');
+
+    if (colon > 0) {
+      const field = word.slice(0, colon).toLowerCase();
+      let value = word.slice(colon + 1);
+      let phrase = false;
+
+      if (!value && input[i] === '"') {
+        const quoted = readPhrase(i);
+        value = quoted.value;
+        phrase = true;
+        i = quoted.end;
+      }
+
+      const text = input.slice(start, i);
+      if (!FIELDS[field]) {
+        throw new QuerySyntaxError(`Unknown field "${field}". Supported fields: ${Object.keys(FIELDS).join(', ')}`, start, text);
+      }
+      if (!value) {
+        throw new QuerySyntaxError(`Missing value for field "${field}"`, start, text);
+      }
+      tokens.push({ kind: 'TERM', field, value, phrase, position: start, text });
+      continue;
+    }
+
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ kind: word, position: start, text: word });
+      continue;
+    }
+
+    tokens.push({ kind: 'TERM', field: null, value: word, phrase: false, position: start, text: word });
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent)
+//   or    := and ("OR" and)*
+//   and   := unary (["AND"] unary)*
+//   unary := ("NOT" | "-") unary | "(" or ")" | term
+// ---------------------------------------------------------------------------
+
+function parseQuery(input) {
+  const query = (input || '').toString();
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new QuerySyntaxError(`Query is too long (max ${MAX_QUERY_LENGTH} characters)`, MAX_QUERY_LENGTH, '');
+  }
+
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return null;
+
+  const termCount = tokens.filter(t => t.kind === 'TERM').length;
+  if (termCount > MAX_TERMS) {
+    throw new QuerySyntaxError(`Too many search terms (max ${MAX_TERMS})`, 0, '');
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  const parseOr = (depth) => {
+    const children = [parseAnd(depth)];
+    while (peek() && peek().kind === 'OR') {
+      const op = next();
+      if (!peek() || peek().kind === 'RPAREN' || peek().kind === 'OR') {
+        throw new QuerySyntaxError('OR must be followed by a search term', op.position, op.text);
+      }
+      children.push(parseAnd(depth));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = (depth) => {
+    const children = [];
+    while (peek() && peek().kind !== 'OR' && peek().kind !== 'RPAREN') {
+      if (peek().kind === 'AND') {
+        const op = next();
+        if (children.length === 0 || !peek() || ['AND', 'OR', 'RPAREN'].includes(peek().kind)) {
+          throw new QuerySyntaxError('AND must be placed between two search terms', op.position, op.text);
+        }
+        continue;
+      }
+      children.push(parseUnary(depth));
+    }
+    if (children.length === 0) {
+      const token = peek();
+      throw new QuerySyntaxError('Expected a search term', token ? token.position : query.length, token ? token.text : '');
+    }
+    return mergeText(children);
+  };
+
+  const parseUnary = (depth) => {
+    const token = next();
+
+    if (token.kind === 'NOT') {
+      if (!peek() || ['AND', 'OR', 'RPAREN', 'NOT'].includes(peek().kind)) {
+        throw new QuerySyntaxError('Negation must be followed by a search term', token.position, token.text);
+      }
+      return { type: 'not', child: parseUnary(depth) };
+    }
+
+    if (token.kind === 'LPAREN') {
+      if (depth >= MAX_DEPTH) {
+        throw new QuerySyntaxError(`Parentheses are nested too deeply (max ${MAX_DEPTH})`, token.position, token.text);
+      }
+      const inner = parseOr(depth + 1);
+      const close = next();
+      if (!close || close.kind !== 'RPAREN') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position, token.text);
+      }
+      return inner;
+    }
+
+    if (token.kind === 'RPAREN') {
+      throw new QuerySyntaxError('Unexpected closing parenthesis', token.position, token.text);
+    }
+
+    if (token.field) {
+      const def = FIELDS[token.field];
+      if (!def.wildcard && token.value.endsWith('*')) {
+        throw new QuerySyntaxError(`Field "${token.field}" does not support wildcards`, token.position, token.text);
+      }
+      return { type: 'field', field: token.field, value: def.validate(token.value, token), raw: token.value, position: token.position };
+    }
+
+    return { type: 'text', value: token.value, phrase: token.phrase, position: token.position };
+  };
+
+  const ast = parseOr(0);
+
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new QuerySyntaxError(token.kind === 'RPAREN' ? 'Unexpected closing parenthesis' : 'Unexpected token', token.position, token.text);
+  }
+
+  // Text with nothing to search for (`...`, `&&&`) can't be compiled; refuse it with the other
+  // syntax errors, so every caller of parseQuery reports it the same way
+  const empty = findEmptyText(ast);
+  if (empty) {
+    throw new QuerySyntaxError(`Search text must contain at least one letter or digit ("${empty.value}")`, empty.position, empty.value);
+  }
+
+  return ast;
+}
+
+// The first text node without a letter or digit, or null
+function findEmptyText(node) {
+  if (node.type === 'text') return tokenizeText(node.value).length === 0 ? node : null;
+  if (node.type === 'not') return findEmptyText(node.child);
+  for (const child of node.children || []) {
+    const found = findEmptyText(child);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Adjacent bare words form one text node, so `John Smith` is searched as a name, not two unrelated terms
+function mergeText(children) {
+  const merged = [];
+  for (const child of children) {
+    const prev = merged[merged.length - 1];
+    if (child.type === 'text' && !child.phrase && prev && prev.type === 'text' && !prev.phrase) {
+      prev.value = `${prev.value} ${child.value}`;
+    } else {
+      merged.push(child.type === 'text' ? { ...child } : child);
+    }
+  }
+  return merged.length === 1 ? merged[0] : { type: 'and', children: merged };
+}
+
+// ---------------------------------------------------------------------------
+// Compiler
+// ---------------------------------------------------------------------------
+
+// Compile an AST into a Cloudinary search expression.
+// options.mode: 'tags' (bare text must equal a tag) or 'fulltext' (prefix match across FULLTEXT_FIELDS)
+function compileExpression(ast, options = {}) {
+  const mode = options.mode || 'tags';
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and':
+        return `(${node.children.map(compile).join(' AND ')})`;
+      case 'or':
+        return `(${node.children.map(compile).join(' OR ')})`;
+      case 'not':
+        return `(NOT ${compile(node.child)})`;
+      case 'field':
+        return FIELDS[node.field].compile(node.value);
+      case 'text':
+        return compileText(node, mode);
+      case 'created':
+        return [
+          node.from && `created_at>="${node.from.toISOString()}"`,
+          node.to && `created_at<="${node.to.toISOString()}"`
+        ].filter(Boolean).join(' AND ');
+      default:
+        throw new Error(`Unknown query node type: ${node.type}`);
+    }
+  };
+
+  return compile(ast);
+}
+
+// Compile an AST into a predicate `(resource) => boolean` with the same semantics
+// as compileExpression, for evaluating queries against the local search index
+function compilePredicate(ast, options = {}) {
+  const mode = options.mode || 'tags';
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const children = node.children.map(compile);
+        return resource => children.every(fn => fn(resource));
+      }
+      case 'or': {
+        const children = node.children.map(compile);
+        return resource => children.some(fn => fn(resource));
+      }
+      case 'not': {
+        const child = compile(node.child);
+        return resource => !child(resource);
+      }
+      case 'field': {
+        const def = FIELDS[node.field];
+        return resource => def.matches(node.value, resource);
+      }
+      case 'text':
+        return textPredicate(node, mode);
+      case 'created':
+        return resource => {
+          const created = new Date(resource.created_at);
+          return (!node.from || created >= node.from) && (!node.to || created <= node.to);
+        };
+      default:
+        throw new Error(`Unknown query node type: ${node.type}`);
+    }
+  };
+
+  return ast ? compile(ast) : () => true;
+}
+
+// Values of a fulltext field on a resource
+function fulltextValues(resource, field) {
+  return field === 'tags' ? (resource.tags || []) : [contextValue(resource, field)];
+}
+
+function textPredicate(node, mode) {
+  const terms = tokenizeText(node.value);
+  if (terms.length === 0) {
+    throw new QuerySyntaxError(`Search text must contain at least one letter or digit ("${node.value}")`, node.position, node.value);
+  }
+
+  if (mode !== 'fulltext') {
+    // Every word, repeats included, as compileText keeps the whole tag
+    const tag = words(node.value).join(' ');
+    return resource => (resource.tags || []).some(t => words(t).join(' ') === tag);
+  }
+
+  if (node.phrase) {
+    const phrase = { base: terms.join(' '), wildcard: false };
+    return resource => FULLTEXT_FIELDS.some(f => fulltextValues(resource, f.field).some(v => textMatches(v, phrase)));
+  }
+
+  return resource => terms.every(term => FULLTEXT_FIELDS.some(f =>
+    fulltextValues(resource, f.field).some(v => textMatches(v, { base: term, wildcard: true }))));
+}
+
+// Build a validated field node from a raw value (e.g. a tag read from Cloudinary),
+// or null when the value contains characters the query language doesn't allow
+function fieldNode(field, value) {
+  try {
+    const token = { position: 0, text: value };
+    return { type: 'field', field, value: FIELDS[field].validate(value, token), raw: value, position: 0 };
+  } catch (err) {
+    if (err instanceof QuerySyntaxError) return null;
+    throw err;
+  }
+}
+
+// AST node for an upload date range; `from` and `to` are Date objects, either may be null
+function createdAtRange(from, to) {
+  return { type: 'created', from: from || null, to: to || null };
+}
+
+// Combine optional AST nodes with AND
+function andNodes(...nodes) {
+  const children = nodes.filter(Boolean);
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+function compileText(node, mode) {
+  const terms = tokenizeText(node.value);
+  if (terms.length === 0) {
+    throw new QuerySyntaxError(`Search text must contain at least one letter or digit ("${node.value}")`, node.position, node.value);
+  }
+
+  const fieldName = (f) => f.field === 'tags' ? 'tags' : `context.${f.field}`;
+
+  if (mode !== 'fulltext') {
+    // Keep the original casing and punctuation of the tag, minus anything outside the whitelist
+    const tag = node.value.replace(/[^\p{L}\p{N} _\-.'&]+/gu, ' ').replace(/\s+/g, ' ').trim();
+    return `tags:"${tag}"`;
+  }
+
+  if (node.phrase) {
+    const phrase = terms.join(' ');
+    return `(${FULLTEXT_FIELDS.map(f => `${fieldName(f)}:"${phrase}"`).join(' OR ')})`;
+  }
+
+  // Every term must match at least one field; each term is a prefix match so "smi" finds "Smith"
+  const clauses = terms.map(term => `(${FULLTEXT_FIELDS.map(f => `${fieldName(f)}:${term}*`).join(' OR ')})`);
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`;
+}
+
+// Positive (non-negated) free-text terms, used to rank results
+function collectTextTerms(ast) {
+  const terms = new Set();
+  const walk = (node, negated) => {
+    if (!node) return;
+    if (node.type === 'text' && !negated) tokenizeText(node.value).forEach(t => terms.add(t));
+    if (node.type === 'not') walk(node.child, !negated);
+    if (node.children) node.children.forEach(child => walk(child, negated));
+  };
+  walk(ast, false);
+  return Array.from(terms);
+}
+
+module.exports = {
+  parseQuery,
+  compileExpression,
+  compilePredicate,
+  createdAtRange,
+  andNodes,
+  fieldNode,
+  collectTextTerms,
+  contextValue,
+  folderOf,
+  isTrashFolder,
+  mediaTypeOf,
+  tokenizeText,
+  QuerySyntaxError,
+  FULLTEXT_FIELDS,
+  MEDIA_TYPES,
+  TRASH_EXCLUSION,
+  TRASH_FOLDER
+};
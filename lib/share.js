@@ -0,0 +1,254 @@
+/**
+ * Share links for /api/share: a signed, expiring link to a few assets or to a saved search, for
+ * someone without an account (the reunion photographer, a family member).
+ *
+ * Nothing is stored. A share is a token (lib/auth's signToken, typed so it can't be used as a
+ * session or a download link) carrying its scope - a list of assets, or a saved search's id -
+ * when it expires (at most MAX_EXPIRY_DAYS ahead) and whether originals may be downloaded. The
+ * public viewer (share-viewer.html, at /share) lists what is in scope; each file in the list has
+ * its own file token, good for that asset in one preset until the share expires, so a share link
+ * can't be used to fetch anything else.
+ *
+ * A saved search is run again whenever the link is opened, so it shows what matches now (up to
+ * MAX_SHARED_ASSETS, never anything in the trash). A share stops working before it expires when
+ * its creator's share links are revoked (it carries their share_version, lib/users.js), when the
+ * creator is disabled or no longer a curator, or when its saved search is deleted. It carries
+ * nothing of the creator's session (no token_version), so it can't stand in for one.
+ */
+
+const crypto = require('crypto');
+const { parseAssetList, toAsset } = require('./assets');
+const { getAuthSecret, signToken, verifyToken } = require('./auth');
+const { searchResources, CloudinaryApiError } = require('./cloudinary-search');
+const { PRESETS } = require('./download');
+const { findExportItems, parseExportRequest } = require('./export');
+const { HttpError } = require('./http-error');
+const { getSavedSearchStore } = require('./saved-searches');
+const { BASE_EXPRESSION } = require('./search-params');
+const { getSearchIndex } = require('./search-index');
+const { isTrashFolder } = require('./search-query');
+const { optionalString } = require('./upload-params');
+const { getUserStore, hasRole, shareVersion } = require('./users');
+
+const SHARE_TOKEN = 'share';
+const FILE_TOKEN = 'share-file';
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+// Listed on one page of the viewer; also the most a saved search shows
+const MAX_SHARED_ASSETS = 100;
+const MAX_TITLE_LENGTH = 100;
+const SAVED_SEARCH_ID_PATTERN = /^[a-f0-9]{12}$/;
+const WITHDRAWN_MESSAGE = 'This share link has expired or been withdrawn';
+
+// What the viewer shows of each media type: a small image for the grid, and the file opened
+// from it. Originals are only offered when the share allows downloads.
+const VIEW_PRESETS = {
+  image: { thumbnail: 'thumbnail', preview: 'web-1600' },
+  pdf: { thumbnail: 'thumbnail', preview: 'web-1600' },
+  video: { thumbnail: 'thumbnail', preview: 'mp4-720p' },
+  audio: { thumbnail: null, preview: 'mp3' }
+};
+
+const invalid = message => new HttpError(400, message, 'INVALID_PARAMETER');
+
+function requireSecret() {
+  const secret = getAuthSecret();
+  if (!secret) {
+    console.error('AUTH_SECRET environment variable not set or shorter than 32 characters');
+    throw new HttpError(500, 'Server configuration error', 'CONFIG_ERROR');
+  }
+  return secret;
+}
+
+/**
+ * Read a request for a share link.
+ *
+ * @param {object} body - { assets: [{ public_id, resource_type }] } or { saved_search: id }, and
+ *   optionally expires_in_days (1-30, default 7), download (default false) and title
+ * @returns {Promise<object>} { assets } or { search }, with expiresInDays, download and title
+ * @throws {HttpError} 400 INVALID_PARAMETER, 404 NOT_FOUND for an unknown saved search
+ */
+async function parseShareRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw invalid('Request body must be a JSON object');
+  if ((body.assets === undefined) === (body.saved_search === undefined)) {
+    throw invalid('Give either assets or saved_search');
+  }
+
+  const expiresInDays = body.expires_in_days === undefined ? DEFAULT_EXPIRY_DAYS : Number(body.expires_in_days);
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw invalid(`expires_in_days must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`);
+  }
+  if (body.download !== undefined && typeof body.download !== 'boolean') {
+    throw invalid('download must be true or false');
+  }
+  const request = {
+    expiresInDays,
+    download: body.download === true,
+    title: optionalString(body.title, 'title', MAX_TITLE_LENGTH)
+  };
+
+  if (body.assets !== undefined) {
+    return { ...request, assets: parseAssetList(body.assets, MAX_SHARED_ASSETS) };
+  }
+
+  const id = typeof body.saved_search === 'string' ? body.saved_search.trim() : '';
+  if (!SAVED_SEARCH_ID_PATTERN.test(id)) throw invalid('Invalid saved_search');
+  const search = await getSavedSearchStore().get(id);
+  if (!search) throw new HttpError(404, 'Saved search not found', 'NOT_FOUND');
+  return { ...request, search };
+}
+
+/**
+ * Sign a share link for `user`.
+ * @returns {{ id: string, token: string, expires_at: string }}
+ */
+function signShare(user, request) {
+  const secret = requireSecret();
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    typ: SHARE_TOKEN,
+    jti: crypto.randomBytes(6).toString('hex'),
+    sub: user.username,
+    sv: shareVersion(user),
+    dl: request.download,
+    iat: now,
+    exp: now + request.expiresInDays * 24 * 60 * 60
+  };
+  if (request.title) claims.title = request.title;
+  if (request.assets) {
+    claims.assets = request.assets.map(asset => [asset.public_id, asset.resource_type]);
+  } else {
+    claims.search = request.search.id;
+    if (!claims.title) claims.title = request.search.name;
+  }
+  return { id: claims.jti, token: signToken(claims, secret), expires_at: new Date(claims.exp * 1000).toISOString() };
+}
+
+/**
+ * The claims of a share or file token (`type`), and the user who created the share, as long as
+ * the link hasn't expired and the creator could still make it.
+ * @returns {Promise<{ claims: object, creator: object }>}
+ * @throws {HttpError} 401 INVALID_SESSION
+ */
+async function verifyShareToken(token, type = SHARE_TOKEN) {
+  const secret = getAuthSecret();
+  const claims = secret ? verifyToken(token, secret) : null;
+  const creator = claims && claims.typ === type ? await getUserStore().get(claims.sub) : null;
+  if (!creator || creator.disabled || shareVersion(creator) !== claims.sv || !hasRole(creator.role, 'curator')) {
+    throw new HttpError(401, WITHDRAWN_MESSAGE, 'INVALID_SESSION');
+  }
+  return { claims, creator };
+}
+
+// Assets by public_id, in the order they were shared; the ones since moved, renamed or trashed
+// are left out
+async function findListedAssets(list) {
+  const wanted = new Map(list.map(([publicId, resourceType], i) => [`${resourceType}:${publicId}`, i]));
+  let resources;
+
+  const index = await getSearchIndex();
+  const indexMeta = index ? index.getMeta() : null;
+  if (indexMeta && indexMeta.last_synced_at) {
+    resources = list.map(([publicId]) => index.get(publicId)).filter(Boolean);
+  } else {
+    const ids = list.map(([publicId]) => `public_id="${publicId}"`).join(' OR ');
+    try {
+      const data = await searchResources({
+        expression: `${BASE_EXPRESSION} AND (${ids})`,
+        max_results: MAX_SHARED_ASSETS,
+        with_field: ['context', 'tags']
+      });
+      resources = data.resources || [];
+    } catch (err) {
+      if (err instanceof CloudinaryApiError) {
+        console.error('Cloudinary API error:', err.status, err.body);
+        throw new HttpError(502, 'Search service unavailable', 'UPSTREAM_ERROR');
+      }
+      throw err;
+    }
+  }
+
+  return resources
+    .map(resource => ({ resource, asset: toAsset(resource) }))
+    .filter(({ asset }) => wanted.has(`${asset.resource_type}:${asset.public_id}`) && !isTrashFolder(asset.folder))
+    .sort((a, b) => wanted.get(`${a.asset.resource_type}:${a.asset.public_id}`) - wanted.get(`${b.asset.resource_type}:${b.asset.public_id}`))
+    .map(({ resource, asset }) => ({ ...asset, version: resource.version }));
+}
+
+/**
+ * What a share shows now.
+ * @returns {Promise<{ assets: object[], truncated: boolean }>} each with public_id, resource_type,
+ *   media_type, format, version, created_at, name, tapYear and caption
+ * @throws {HttpError} 401 INVALID_SESSION when its saved search is gone, 502 UPSTREAM_ERROR
+ */
+async function findSharedAssets(claims) {
+  if (claims.assets) {
+    return { assets: await findListedAssets(claims.assets), truncated: false };
+  }
+
+  const search = await getSavedSearchStore().get(claims.search);
+  if (!search) throw new HttpError(401, WITHDRAWN_MESSAGE, 'INVALID_SESSION');
+  // Run as it was saved; searches saved before mode and fuzzy were kept ran as the search page
+  // runs them, full-text with fuzzy matches
+  const params = search.state.mode ? search.state : { ...search.state, mode: 'fulltext', fuzzy: '1' };
+  const request = await parseExportRequest(name => params[name]);
+  const items = await findExportItems(request, { limit: MAX_SHARED_ASSETS });
+  return {
+    assets: items.slice(0, MAX_SHARED_ASSETS),
+    truncated: items.length > MAX_SHARED_ASSETS
+  };
+}
+
+/**
+ * A file token for one asset of a share in one preset; it expires with the share.
+ * @returns {string}
+ */
+function signShareFile(claims, asset, preset) {
+  return signToken({
+    typ: FILE_TOKEN,
+    share: claims.jti,
+    sub: claims.sub,
+    sv: claims.sv,
+    pid: asset.public_id,
+    rt: asset.resource_type,
+    fmt: asset.format,
+    v: asset.version,
+    name: asset.name || undefined,
+    preset,
+    exp: claims.exp
+  }, requireSecret());
+}
+
+/**
+ * An asset as the viewer gets it: its description, and links to its files.
+ * @param {function(string, string): string} fileUrl - (preset, file token) => the URL that streams it
+ */
+function describeSharedAsset(claims, asset, fileUrl) {
+  const presets = VIEW_PRESETS[asset.media_type] || VIEW_PRESETS.image;
+  const link = preset => (preset && PRESETS[preset].types.includes(asset.media_type)
+    ? fileUrl(preset, signShareFile(claims, asset, preset))
+    : null);
+  return {
+    public_id: asset.public_id,
+    media_type: asset.media_type,
+    format: asset.format,
+    created_at: asset.created_at,
+    name: asset.name,
+    tapYear: asset.tapYear,
+    caption: asset.caption,
+    thumbnail_url: link(presets.thumbnail),
+    preview_url: link(presets.preview),
+    download_url: claims.dl ? link('original') : null
+  };
+}
+
+module.exports = {
+  describeSharedAsset,
+  FILE_TOKEN,
+  findSharedAssets,
+  MAX_EXPIRY_DAYS,
+  MAX_SHARED_ASSETS,
+  parseShareRequest,
+  signShare,
+  verifyShareToken
+};
@@ -0,0 +1,239 @@
+/**
+ * Soft delete: a deleted asset goes to the trash instead of being destroyed, and can be restored
+ * until `npm run purge-trash` deletes it for good once it is older than the retention window.
+ *
+ * Moving an asset to the trash:
+ * - puts it under TRASH_FOLDER (`_trash`). On this account the folder is part of the public_id,
+ *   so `composites/x` becomes `_trash/composites/x`; with dynamic folders only `asset_folder` changes
+ * - adds `deleted_at`, `deleted_by`, `deleted_from` (its public_id) and `deleted_from_folder` to
+ *   its context
+ * - drops it from the local search index. Searches, the index sync and the folder list skip the
+ *   trash folder, so it disappears everywhere but the trash listing
+ * Restoring reverses all of this. Both are recorded in the asset's history. Purging is also
+ * recorded in the audit log (`asset.purge`, lib/audit.js), with `by` as the actor.
+ *
+ * TRASH_RETENTION_DAYS (default 30) is how long trashed assets are kept.
+ */
+
+const { getAssetHistory } = require('./asset-history');
+const { assetMetadata, createAuditEntry, recordAudit } = require('./audit');
+const {
+  contextOf,
+  contextParam,
+  loadAsset,
+  refreshIndexes,
+  toAsset,
+  toHttpError
+} = require('./assets');
+const { destroyResource, renameResource, searchResources, updateResource, CloudinaryApiError } = require('./cloudinary-search');
+const { HttpError } = require('./http-error');
+const { getOCRIndex } = require('./ocr-index');
+const { folderOf, isTrashFolder, TRASH_FOLDER } = require('./search-query');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const TRASH_CONTEXT_FIELDS = ['deleted_at', 'deleted_by', 'deleted_from', 'deleted_from_folder'];
+const TRASH_EXPRESSION = `(resource_type:image OR resource_type:video) AND (folder:${TRASH_FOLDER} OR folder:${TRASH_FOLDER}/*)`;
+
+function retentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function isInTrash(resource) {
+  return isTrashFolder(folderOf(resource));
+}
+
+// Dynamic folder accounts report `asset_folder`; otherwise the folder is in the public_id
+const hasDynamicFolders = resource => resource.asset_folder !== undefined;
+
+// Rename into the trash; an id trashed before (and not purged yet) gets a suffix
+async function renameIntoTrash(resource, config) {
+  const target = `${TRASH_FOLDER}/${resource.public_id}`;
+  try {
+    await renameResource(resource.resource_type, resource.public_id, target, config);
+    return target;
+  } catch (err) {
+    if (!(err instanceof CloudinaryApiError && err.status === 409)) throw err;
+    const suffixed = `${target}_${Date.now()}`;
+    await renameResource(resource.resource_type, resource.public_id, suffixed, config);
+    return suffixed;
+  }
+}
+
+// Rename (when `rename` is given) then update; returns the public_id the asset ends up with. If
+// the rename went through but the update didn't, the move is still recorded and indexed before
+// the error is passed on.
+async function moveAndUpdate(resource, { rename, params, user, changes, config }) {
+  let publicId = resource.public_id;
+  try {
+    if (rename) publicId = await rename();
+    await updateResource(resource.resource_type, publicId, params, config);
+    return publicId;
+  } catch (err) {
+    if (publicId !== resource.public_id) {
+      await getAssetHistory().record(resource.public_id, {
+        by: user.username,
+        changes: { ...changes, public_id: { from: resource.public_id, to: publicId } }
+      });
+      const moved = await loadAsset(publicId, resource.resource_type, config).catch(() => null);
+      if (moved) await refreshIndexes(resource.public_id, moved);
+    }
+    throw toHttpError(err, 'Asset not found');
+  }
+}
+
+/**
+ * Move an asset to the trash.
+ * @returns {Promise<object>} the asset as /api/assets returns it
+ * @throws {HttpError} 409 IN_TRASH if it is already there
+ */
+async function trashAsset(resource, { user, config }) {
+  if (isInTrash(resource)) {
+    throw new HttpError(409, 'The asset is already in the trash', 'IN_TRASH');
+  }
+
+  const context = {
+    ...contextOf(resource),
+    deleted_at: new Date().toISOString(),
+    deleted_by: user.username,
+    deleted_from: resource.public_id,
+    deleted_from_folder: folderOf(resource) || ''
+  };
+  const params = { context: contextParam(context) };
+  const dynamicFolders = hasDynamicFolders(resource);
+  if (dynamicFolders) params.asset_folder = TRASH_FOLDER;
+
+  const changes = { deleted: { from: false, to: true } };
+  const publicId = await moveAndUpdate(resource, {
+    rename: dynamicFolders ? null : () => renameIntoTrash(resource, config),
+    params,
+    user,
+    changes,
+    config
+  });
+  if (publicId !== resource.public_id) changes.public_id = { from: resource.public_id, to: publicId };
+
+  const trashed = await loadAsset(publicId, resource.resource_type, config);
+  await getAssetHistory().record(resource.public_id, { by: user.username, changes });
+  await refreshIndexes(resource.public_id, trashed);
+  console.log(`Asset ${resource.public_id} moved to the trash by ${user.username}`);
+  return toAsset(trashed);
+}
+
+/**
+ * Bring an asset back from the trash to the public_id and folder it had.
+ * @returns {Promise<object>} the asset as /api/assets returns it
+ * @throws {HttpError} 409 NOT_IN_TRASH, or 409 DUPLICATE_NAME if its old public_id has been reused
+ */
+async function restoreAsset(resource, { user, config }) {
+  if (!isInTrash(resource)) {
+    throw new HttpError(409, 'The asset is not in the trash', 'NOT_IN_TRASH');
+  }
+
+  const context = contextOf(resource);
+  const dynamicFolders = hasDynamicFolders(resource);
+  const restoredId = dynamicFolders
+    ? resource.public_id
+    : context.deleted_from || resource.public_id.slice(TRASH_FOLDER.length + 1);
+
+  const kept = Object.fromEntries(Object.entries(context).filter(([key]) => !TRASH_CONTEXT_FIELDS.includes(key)));
+  const params = { context: contextParam(kept, TRASH_CONTEXT_FIELDS) };
+  if (dynamicFolders) params.asset_folder = context.deleted_from_folder || '';
+
+  const changes = { deleted: { from: true, to: false } };
+  const publicId = await moveAndUpdate(resource, {
+    rename: restoredId === resource.public_id
+      ? null
+      : async () => {
+        await renameResource(resource.resource_type, resource.public_id, restoredId, config);
+        return restoredId;
+      },
+    params,
+    user,
+    changes,
+    config
+  });
+  if (publicId !== resource.public_id) changes.public_id = { from: resource.public_id, to: publicId };
+
+  const restored = await loadAsset(publicId, resource.resource_type, config);
+  await getAssetHistory().record(resource.public_id, { by: user.username, changes });
+  await refreshIndexes(resource.public_id, restored);
+  console.log(`Asset ${restoredId} restored from the trash by ${user.username}`);
+  return toAsset(restored);
+}
+
+/**
+ * A page of trashed assets, from the Cloudinary Search API.
+ * @returns {Promise<{ assets: object[], next_cursor?: string, total_count: number }>}
+ */
+async function listTrash({ cursor, maxResults = 100 } = {}, config) {
+  const body = {
+    expression: TRASH_EXPRESSION,
+    max_results: maxResults,
+    with_field: ['context', 'tags'],
+    sort_by: [{ public_id: 'asc' }]
+  };
+  if (cursor) body.next_cursor = cursor;
+
+  let data;
+  try {
+    data = await searchResources(body, config);
+  } catch (err) {
+    throw toHttpError(err, 'Trash not found');
+  }
+  const assets = (data.resources || []).map(toAsset);
+  return { assets, next_cursor: data.next_cursor, total_count: data.total_count || assets.length };
+}
+
+// Trashed longer than the retention window. Assets without a `deleted_at` (a trash move that
+// failed halfway) are never expired.
+function isExpired(asset, now = Date.now(), days = retentionDays()) {
+  const deletedAt = asset.deleted ? Date.parse(asset.deleted.at) : NaN;
+  return Number.isFinite(deletedAt) && now - deletedAt > days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Delete a trashed asset for good: from Cloudinary (and its CDN cache) and the OCR index.
+ * @param {object} asset - from listTrash
+ * @param {object} options - { by, config }
+ */
+async function purgeAsset(asset, { by, config }) {
+  const audit = createAuditEntry('asset.purge');
+  Object.assign(audit, {
+    actor: { username: by, role: null },
+    asset: { public_id: asset.public_id, resource_type: asset.resource_type },
+    before: assetMetadata(asset),
+    details: { deleted: asset.deleted }
+  });
+
+  try {
+    if (!isTrashFolder(asset.folder)) {
+      throw new HttpError(409, 'Only assets in the trash can be purged', 'NOT_IN_TRASH');
+    }
+    let result;
+    try {
+      result = await destroyResource(asset.resource_type, asset.public_id, config);
+    } catch (err) {
+      throw toHttpError(err, 'Asset not found');
+    }
+    if (result.result === 'not found') throw new HttpError(404, 'Asset not found', 'NOT_FOUND');
+  } catch (err) {
+    await recordAudit(audit, { error: err });
+    throw err;
+  }
+
+  await getOCRIndex().remove([asset.public_id]);
+  await getAssetHistory().record(asset.public_id, { by, changes: { purged: { from: false, to: true } } });
+  await recordAudit(audit);
+}
+
+module.exports = {
+  isExpired,
+  isInTrash,
+  listTrash,
+  purgeAsset,
+  restoreAsset,
+  retentionDays,
+  trashAsset,
+  TRASH_FOLDER
+};
@@ -0,0 +1,212 @@
+/**
+ * Cloudinary upload parameters, shared by /api/upload (the server uploads the file) and
+ * /api/sign-upload (the browser uploads it with a signature), so an asset gets the same
+ * public_id scheme, context, tags, folder, OCR and eager transforms whichever path it took.
+ *
+ * Only the fields read in buildUploadParams are accepted from clients, and each is validated.
+ * Everything else is fixed here or comes from the environment:
+ * - UPLOAD_NOTIFICATION_URL - Cloudinary calls it when an upload (and its eager transforms)
+ *   has finished
+ */
+
+const { HttpError } = require('./http-error');
+const { PHASH_PATTERN } = require('./duplicates');
+const { isTrashFolder, TRASH_FOLDER } = require('./search-query');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'pdf'];
+
+// Where each media type lives in Cloudinary: audio is stored as video, PDFs as images
+const RESOURCE_TYPES = { image: 'image', video: 'video', audio: 'video', pdf: 'image' };
+
+// Eager transforms a client may ask for, by name, per media type
+const EAGER_PRESETS = {
+  thumbnail: { image: 'c_fill,g_auto,w_300,h_300', video: 'c_fill,w_300,h_300/jpg' },
+  preview: { image: 'c_limit,w_1600,h_1600' }
+};
+
+const MAX_NAME_LENGTH = 200;
+const MAX_CAPTION_LENGTH = 500;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 100;
+const MAX_FOLDER_LENGTH = 255;
+const EARLIEST_TAP_YEAR = 1900;
+
+// Our own public ids: letters, digits, `_`, `-` and `.`; the folder is passed separately
+const PUBLIC_ID_PATTERN = /^[\w\-.]{1,200}$/;
+// Folder paths as Cloudinary shows them: no URL syntax, no `..`
+const FOLDER_PATTERN = /^(?!.*\.\.)[^?#&\\<>|\u0000-\u001f]+$/;
+
+function invalid(message) {
+  return new HttpError(400, message, 'INVALID_PARAMETER');
+}
+
+// Cloudinary context values use "|" and "=" as separators, so they must be escaped
+function escapeContextValue(value) {
+  return String(value).replace(/([|=])/g, '\\$1');
+}
+
+// Default public_id: `tap_<timestamp>_<name>`
+function publicIdFor(name) {
+  const slug = String(name || 'upload').replace(/\s+/g, '_').replace(/[^\w\-.]/g, '').substring(0, 100);
+  return `tap_${Date.now()}_${slug || 'upload'}`;
+}
+
+function optionalString(value, field, maxLength) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw invalid(`${field} must be a string`);
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) throw invalid(`${field} must be at most ${maxLength} characters`);
+  return trimmed || null;
+}
+
+// The asset's name, which is required. It is also its first tag, so it can't contain a comma
+// (Cloudinary would split it into several tags).
+function parseName(value) {
+  const name = optionalString(value, 'name', MAX_NAME_LENGTH);
+  if (!name) throw invalid('name is required');
+  if (name.includes(',')) throw invalid('name cannot contain commas');
+  return name;
+}
+
+// Tags as an array or a comma-separated string
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const tags = list.map(tag => {
+    if (typeof tag !== 'string') throw invalid('tags must be strings');
+    return tag.trim();
+  }).filter(Boolean);
+
+  if (tags.length > MAX_TAGS) throw invalid(`At most ${MAX_TAGS} tags`);
+  tags.forEach(tag => {
+    if (tag.length > MAX_TAG_LENGTH) throw invalid(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    if (tag.includes(',')) throw invalid('Tags cannot contain commas');
+  });
+  return tags;
+}
+
+function parseTapYear(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const year = String(value).trim();
+  if (!/^\d{4}$/.test(year) || Number(year) < EARLIEST_TAP_YEAR || Number(year) > new Date().getFullYear() + 1) {
+    throw invalid(`tapYear must be a year between ${EARLIEST_TAP_YEAR} and next year`);
+  }
+  return year;
+}
+
+// Folder path without leading or trailing slashes, or null for none
+function parseFolder(value) {
+  const folder = optionalString(value, 'folder', MAX_FOLDER_LENGTH);
+  const normalized = folder ? folder.replace(/^\/+|\/+$/g, '') : null;
+  if (normalized && !FOLDER_PATTERN.test(normalized)) throw invalid('Invalid folder');
+  if (isTrashFolder(normalized)) throw invalid(`The ${TRASH_FOLDER} folder is reserved for deleted assets`);
+  return normalized || null;
+}
+
+function parseEager(value, type) {
+  if (value === undefined || value === null || value === '') return [];
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  return names.map(name => {
+    const preset = EAGER_PRESETS[String(name).trim()];
+    if (!preset) throw invalid(`Unknown eager transform "${name}". Available: ${Object.keys(EAGER_PRESETS).join(', ')}`);
+    if (!preset[type]) throw invalid(`Eager transform "${name}" does not apply to ${type} files`);
+    return preset[type];
+  });
+}
+
+/**
+ * Validate client-supplied upload metadata and turn it into Cloudinary upload parameters.
+ *
+ * @param {object} input - { type, name, tapYear?, caption?, folder?, tags?, phash?, eager?, public_id? }
+ * @param {object} [options]
+ * @param {string} [options.replace] - public_id (with folder) of an asset to overwrite
+ * @returns {{ resourceType: string, params: object }} params ready for the SDK or for signing
+ */
+function buildUploadParams(input, options = {}) {
+  const type = input.type;
+  if (!MEDIA_TYPES.includes(type)) {
+    throw invalid(`type must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+
+  if (input.name === undefined || input.name === null || input.name === '') {
+    throw invalid('Missing metadata: name is required');
+  }
+  const name = parseName(input.name);
+  const tapYear = parseTapYear(input.tapYear);
+  const caption = optionalString(input.caption, 'caption', MAX_CAPTION_LENGTH);
+  const phash = optionalString(input.phash, 'phash', 16);
+  if (phash && !PHASH_PATTERN.test(phash)) throw invalid('phash must be 16 hex digits');
+
+  const normalizedFolder = parseFolder(input.folder);
+
+  const requestedId = optionalString(input.public_id, 'public_id', 200);
+  if (requestedId && !PUBLIC_ID_PATTERN.test(requestedId)) throw invalid('Invalid public_id');
+
+  // Name first (it is what the tag search matches), then the type markers, then the user's tags
+  const tags = [name];
+  if (type === 'audio') tags.push('audio');
+  if (type === 'pdf') tags.push('pdf');
+  parseTags(input.tags).forEach(tag => {
+    if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  });
+
+  const context = [`name=${escapeContextValue(name)}`];
+  if (tapYear) context.push(`tapYear=${tapYear}`);
+  if (caption) context.push(`caption=${escapeContextValue(caption)}`);
+  if (phash) context.push(`phash=${phash}`);
+
+  const params = {
+    public_id: options.replace || requestedId || publicIdFor(name),
+    context: context.join('|'),
+    tags: tags.join(',')
+  };
+
+  if (options.replace) {
+    // The folder is part of the replaced asset's public_id
+    params.overwrite = true;
+    params.invalidate = true; // drop cached copies of the old file from the CDN
+  } else {
+    // Signed uploads overwrite by default; a retried upload must not clobber anything
+    params.overwrite = false;
+    if (normalizedFolder) params.folder = normalizedFolder;
+  }
+
+  if (type === 'image') {
+    params.ocr = 'adv_ocr';
+  }
+
+  const eager = parseEager(input.eager, type);
+  if (eager.length > 0) {
+    params.eager = eager.join('|');
+    // Video transforms can take longer than the upload request may wait
+    if (RESOURCE_TYPES[type] === 'video') params.eager_async = true;
+  }
+
+  if (process.env.UPLOAD_NOTIFICATION_URL) {
+    params.notification_url = process.env.UPLOAD_NOTIFICATION_URL;
+  }
+
+  return { resourceType: RESOURCE_TYPES[type], params };
+}
+
+// Media type from a MIME type and file name, as the uploader page classifies files
+function mediaTypeOf(mimeType, filename) {
+  if (mimeType === 'application/pdf' || /\.pdf$/i.test(filename || '')) return 'pdf';
+  const major = (mimeType || '').split('/')[0];
+  return MEDIA_TYPES.includes(major) ? major : null;
+}
+
+module.exports = {
+  buildUploadParams,
+  EAGER_PRESETS,
+  escapeContextValue,
+  MAX_CAPTION_LENGTH,
+  MAX_NAME_LENGTH,
+  mediaTypeOf,
+  MEDIA_TYPES,
+  optionalString,
+  parseFolder,
+  parseName,
+  parseTags,
+  parseTapYear
+};
@@ -0,0 +1,256 @@
+/**
+ * User accounts and roles.
+ *
+ * Roles are ordered; each includes the ones before it:
+ *   viewer   - search, browse and download
+ *   uploader - also upload files
+ *   curator  - also manage shared content (saved searches, asset edits)
+ *   admin    - also manage user accounts
+ *
+ * Stored with scrypt password hashes. Where is pluggable (USERS_STORE): the built-in `file` store
+ * is a JSON file (USERS_PATH, default data/users.json), which refuses to run on Vercel, whose
+ * filesystem is read-only and per instance. Register a durable one with registerUserStore(name,
+ * factory); a store keeps `{ users: [...] }` and implements read() and update(change) as
+ * lib/json-file.js does, running each update only after the ones before it.
+ * Each user has a token_version that is part of every session token; bumping it (password
+ * change, disabling the account, or an explicit revoke) ends that user's sessions only.
+ * Share links (lib/share.js) carry a separate share_version instead, so they can be withdrawn
+ * without signing the user out; an explicit revoke of sessions withdraws them too.
+ * Manage accounts with `npm run users` or the admin-only /api/users endpoint.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { HttpError } = require('./http-error');
+const { createJsonFile } = require('./json-file');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_USERS_PATH = path.join(process.cwd(), 'data', 'users.json');
+const USERS_VERSION = 1;
+
+const ROLES = ['viewer', 'uploader', 'curator', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,39}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+const SCRYPT_KEY_LENGTH = 64;
+
+class UserError extends HttpError {
+  constructor(status, message, code) {
+    super(status, message, code);
+    this.name = 'UserError';
+  }
+}
+
+// True if `role` grants at least the permissions of `required`
+function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new UserError(400, `Invalid role. Use one of: ${ROLES.join(', ')}`, 'INVALID_PARAMETER');
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'INVALID_PARAMETER');
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new UserError(400, `Password must be at most ${MAX_PASSWORD_LENGTH} characters`, 'INVALID_PARAMETER');
+  }
+}
+
+// "scrypt$<salt>$<hash>", both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash compared against when the username doesn't exist, so both cases take the same time
+let dummyHash = null;
+
+// Accounts created before share links have no share_version yet
+function shareVersion(user) {
+  return user.share_version || 1;
+}
+
+// The user as returned by the API: never includes the password hash
+function publicUser(user) {
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+function createFileStore(options = {}) {
+  const filePath = options.path || process.env.USERS_PATH || DEFAULT_USERS_PATH;
+  return createJsonFile(filePath, { version: USERS_VERSION, label: 'users', empty: () => ({ users: [] }), mode: 0o600 });
+}
+
+const stores = {
+  file: createFileStore
+};
+
+// Register an additional store factory, e.g. registerUserStore('postgres', options => ...)
+function registerUserStore(name, factory) {
+  stores[name] = factory;
+}
+
+function createStore(name, options) {
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown user store "${name}". Available: ${Object.keys(stores).join(', ')}`);
+  }
+  if (name === 'file' && process.env.VERCEL) {
+    throw new Error('The file user store can\'t run on Vercel (its filesystem is read-only and per instance); register a durable store and set USERS_STORE');
+  }
+  return factory(options);
+}
+
+// The accounts kept in options.store, by default the store USERS_STORE names (`file`)
+function createUserStore(options = {}) {
+  const records = options.store || createStore(process.env.USERS_STORE || 'file', options);
+  const { filePath } = records;
+
+  // Apply changes(user) => fields to one user
+  async function update(username, changes) {
+    const name = normalizeUsername(username);
+    let updated;
+    await records.update(({ users }) => {
+      const user = users.find(u => u.username === name);
+      if (!user) {
+        throw new UserError(404, `User "${name}" not found`, 'NOT_FOUND');
+      }
+      updated = { ...user, ...changes(user), updated_at: new Date().toISOString() };
+      return { users: users.map(u => (u === user ? updated : u)) };
+    });
+    return updated;
+  }
+
+  return {
+    filePath,
+
+    async list() {
+      const { users } = await records.read();
+      return [...users].sort((a, b) => a.username.localeCompare(b.username));
+    },
+
+    async get(username) {
+      const { users } = await records.read();
+      return users.find(u => u.username === normalizeUsername(username)) || null;
+    },
+
+    async create({ username, password, role }) {
+      const name = normalizeUsername(username);
+      if (!USERNAME_PATTERN.test(name)) {
+        throw new UserError(400, 'Username must be 2-40 characters: letters, digits, dot, dash or underscore', 'INVALID_PARAMETER');
+      }
+      validateRole(role);
+      validatePassword(password);
+      const passwordHash = await hashPassword(password);
+
+      const now = new Date().toISOString();
+      const user = {
+        username: name,
+        role,
+        password_hash: passwordHash,
+        disabled: false,
+        token_version: 1,
+        share_version: 1,
+        created_at: now,
+        updated_at: now
+      };
+      await records.update(({ users }) => {
+        if (users.some(u => u.username === name)) {
+          throw new UserError(409, `User "${name}" already exists`, 'DUPLICATE_USER');
+        }
+        return { users: [...users, user] };
+      });
+      return user;
+    },
+
+    setRole(username, role) {
+      validateRole(role);
+      return update(username, () => ({ role }));
+    },
+
+    // Changing the password ends existing sessions
+    async setPassword(username, password) {
+      validatePassword(password);
+      const passwordHash = await hashPassword(password);
+      return update(username, user => ({ password_hash: passwordHash, token_version: user.token_version + 1 }));
+    },
+
+    setDisabled(username, disabled) {
+      return update(username, user => ({ disabled: Boolean(disabled), token_version: user.token_version + 1 }));
+    },
+
+    // End all of the user's current sessions, and withdraw the share links they made
+    revokeSessions(username) {
+      return update(username, user => ({
+        token_version: user.token_version + 1,
+        share_version: shareVersion(user) + 1
+      }));
+    },
+
+    // Withdraw the share links the user made; their sessions go on
+    revokeShares(username) {
+      return update(username, user => ({ share_version: shareVersion(user) + 1 }));
+    },
+
+    async remove(username) {
+      const name = normalizeUsername(username);
+      const next = await records.update(({ users }) => {
+        const remaining = users.filter(u => u.username !== name);
+        return remaining.length === users.length ? null : { users: remaining };
+      });
+      return Boolean(next);
+    },
+
+    // The user for a username/password pair, or null. Disabled accounts can't log in.
+    async verifyCredentials(username, password) {
+      const user = await this.get(username);
+      if (!user) {
+        if (!dummyHash) dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(String(password || ''), dummyHash);
+        return null;
+      }
+      const valid = await verifyPassword(String(password || ''), user.password_hash);
+      return valid && !user.disabled ? user : null;
+    }
+  };
+}
+
+// Process-wide store configured from the environment
+let sharedStore = null;
+
+function getUserStore() {
+  if (!sharedStore) sharedStore = createUserStore();
+  return sharedStore;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createUserStore,
+  getUserStore,
+  publicUser,
+  registerUserStore,
+  shareVersion,
+  UserError
+};
@@ -0,0 +1,106 @@
+/**
+ * Vocabulary of known names and tags, used for fuzzy matching and suggestions.
+ *
+ * Taken from the local search index when it is configured and synced (tags plus `name`
+ * context values), otherwise from the Cloudinary Admin API tag list. Both are cached:
+ * the index vocabulary until the next sync, the Admin API list for 24 hours.
+ */
+
+const cloudinary = require('cloudinary').v2;
+const { getSearchIndex } = require('./search-index');
+const { getCloudinaryConfig } = require('./cloudinary-search');
+
+const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const TAG_PAGE_SIZE = 500;
+const MAX_TAG_PAGES = 20;
+
+// Tags the app adds for its own bookkeeping; never useful as a name
+const SYSTEM_TAGS = new Set(['ocr_indexed', 'audio', 'pdf']);
+
+let indexCache = { syncedAt: null, entries: [] };
+let apiCache = { timestamp: null, entries: [] };
+
+// Merge raw values into entries { text, kind, count }; the first spelling seen wins,
+// and a value that is both a tag and a name is reported as a name
+function buildVocabulary(values) {
+  const seen = new Map();
+  for (const { text: raw, kind } of values) {
+    const text = String(raw || '').trim();
+    if (!text || SYSTEM_TAGS.has(text.toLowerCase())) continue;
+    const key = text.toLowerCase();
+    const entry = seen.get(key);
+    if (entry) {
+      entry.count++;
+      if (kind === 'name') entry.kind = 'name';
+    } else {
+      seen.set(key, { text, kind, count: 1 });
+    }
+  }
+  return Array.from(seen.values());
+}
+
+function vocabularyFromIndex(index) {
+  const { last_synced_at: syncedAt } = index.getMeta();
+  if (indexCache.syncedAt !== syncedAt) {
+    const values = [];
+    index.all().forEach(doc => {
+      (doc.tags || []).forEach(tag => values.push({ text: tag, kind: 'tag' }));
+      if (doc.context && doc.context.name) values.push({ text: doc.context.name, kind: 'name' });
+    });
+    indexCache = { syncedAt, entries: buildVocabulary(values) };
+  }
+  return indexCache.entries;
+}
+
+async function vocabularyFromCloudinary() {
+  if (apiCache.timestamp && (Date.now() - apiCache.timestamp) < CACHE_TTL) {
+    return apiCache.entries;
+  }
+
+  const config = getCloudinaryConfig();
+  if (!config) throw new Error('Missing Cloudinary environment variables');
+
+  cloudinary.config({
+    cloud_name: config.cloudName,
+    api_key: config.apiKey,
+    api_secret: config.apiSecret
+  });
+
+  const values = [];
+  for (const resourceType of ['image', 'video']) {
+    let cursor;
+    let pages = 0;
+    do {
+      const result = await cloudinary.api.tags({ resource_type: resourceType, max_results: TAG_PAGE_SIZE, next_cursor: cursor });
+      (result.tags || []).forEach(tag => values.push({ text: tag, kind: 'tag' }));
+      cursor = result.next_cursor;
+      pages++;
+    } while (cursor && pages < MAX_TAG_PAGES);
+  }
+
+  apiCache = { timestamp: Date.now(), entries: buildVocabulary(values) };
+  console.log(`Loaded ${apiCache.entries.length} tags for the name vocabulary`);
+  return apiCache.entries;
+}
+
+// Known names and tags as { text, kind: 'tag' | 'name', count }. Counts are only meaningful
+// when read from the index. Returns an empty list (and logs) if the vocabulary can't be loaded.
+async function getVocabularyEntries() {
+  try {
+    const index = await getSearchIndex();
+    if (index && index.getMeta().last_synced_at) {
+      return vocabularyFromIndex(index);
+    }
+    return await vocabularyFromCloudinary();
+  } catch (error) {
+    console.warn('Could not load name vocabulary:', error.message);
+    return [];
+  }
+}
+
+// Known names and tags as plain strings
+async function getNameVocabulary() {
+  return (await getVocabularyEntries()).map(entry => entry.text);
+}
+
+module.exports = { getVocabularyEntries, getNameVocabulary };
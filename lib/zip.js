@@ -0,0 +1,200 @@
+/**
+ * A streaming ZIP writer for /api/export: files go into the archive as they are read, so an
+ * export never holds more than one chunk of a file in memory.
+ *
+ * Entries are stored, not compressed: photos, videos, MP3s and PDFs are compressed already.
+ * Sizes and CRCs follow each file in a data descriptor, since they aren't known until the file
+ * has been read. Archives may grow past 4 GB (ZIP64 central directory); single files may not.
+ *
+ * The writer knows nothing about where the bytes go. `write(buffer, position)` is given each
+ * piece and where it belongs; a response ignores the position, a file writes there. A writer can
+ * be created part way through an archive from the entries already in it, which is how an export
+ * job adds a batch of files per request (lib/export.js).
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA = 0x0001;
+
+// Bit 3: sizes and CRC are in the data descriptor; bit 11: names are UTF-8
+const FLAGS = 0x0808;
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+// CRC-32 of `buffer`, continuing from `crc`
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// MS-DOS time and date (UTC); the format can't go before 1980
+function dosDateTime(date) {
+  const d = date && !isNaN(date.getTime()) && date.getUTCFullYear() >= 1980 ? date : new Date(Date.UTC(1980, 0, 1));
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | Math.floor(d.getUTCSeconds() / 2),
+    date: ((d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+}
+
+function localHeader(name, dos) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(LOCAL_HEADER, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8); // stored
+  header.writeUInt16LE(dos.time, 10);
+  header.writeUInt16LE(dos.date, 12);
+  // CRC and sizes (14-25) are left 0: they are in the data descriptor
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+}
+
+function dataDescriptor(crc, size) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(size, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+}
+
+function centralHeader(entry) {
+  const name = Buffer.from(entry.name, 'utf8');
+  const dos = dosDateTime(new Date(entry.date));
+  const zip64 = entry.offset >= MAX_32;
+  const extra = Buffer.alloc(zip64 ? 12 : 0);
+  if (zip64) {
+    extra.writeUInt16LE(ZIP64_EXTRA, 0);
+    extra.writeUInt16LE(8, 2);
+    extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+  }
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(CENTRAL_HEADER, 0);
+  header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION, 4); // made by (MS-DOS)
+  header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION, 6); // needed to extract
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(dos.time, 12);
+  header.writeUInt16LE(dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.size, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  // Comment length, disk, attributes (32-41) are 0
+  header.writeUInt32LE(zip64 ? MAX_32 : entry.offset, 42);
+  return Buffer.concat([header, name, extra]);
+}
+
+// End of central directory records; the ZIP64 ones only when a count or offset doesn't fit
+function endOfCentralDirectory(count, size, offset) {
+  const records = [];
+  const zip64 = count >= MAX_16 || size >= MAX_32 || offset >= MAX_32;
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIRECTORY, 0);
+    record.writeBigUInt64LE(44n, 4); // size of the rest of the record
+    record.writeUInt16LE(VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(size), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+    locator.writeBigUInt64LE(BigInt(offset + size), 8);
+    locator.writeUInt32LE(1, 16); // number of disks
+    records.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(Math.min(count, MAX_16), 8);
+  end.writeUInt16LE(Math.min(count, MAX_16), 10);
+  end.writeUInt32LE(Math.min(size, MAX_32), 12);
+  end.writeUInt32LE(Math.min(offset, MAX_32), 16);
+  records.push(end);
+  return Buffer.concat(records);
+}
+
+/**
+ * @param {function(Buffer, number): Promise} write - writes a piece of the archive at a position
+ * @param {object} [state] - to continue an archive: { offset, entries } as a previous writer left them
+ * @returns {object} { offset, entries, addEntry(name, source, { date }), finish() }
+ */
+function createZipWriter(write, { offset = 0, entries = [] } = {}) {
+  const writer = {
+    // Where the next entry starts
+    offset,
+    // { name, crc, size, offset, end, date } for each complete entry
+    entries: entries.slice(),
+
+    async put(buffer) {
+      await write(buffer, writer.offset);
+      writer.offset += buffer.length;
+    },
+
+    /**
+     * Add a file. `source` is a Buffer or a readable stream. If it fails part way, the writer
+     * goes back to where the entry started, so a positional writer can go on from there; what
+     * was already written to a stream can't be taken back.
+     * @returns {Promise<object>} the entry
+     */
+    async addEntry(name, source, { date } = {}) {
+      const start = writer.offset;
+      const when = date && !isNaN(date.getTime()) ? date : new Date();
+      const dos = dosDateTime(when);
+      let crc = 0;
+      let size = 0;
+      try {
+        await writer.put(localHeader(Buffer.from(name, 'utf8'), dos));
+        const chunks = Buffer.isBuffer(source) ? [source] : source;
+        for await (const chunk of chunks) {
+          size += chunk.length;
+          if (size >= MAX_32) throw new Error(`${name} is too large for the archive (4 GB or more)`);
+          crc = crc32(chunk, crc);
+          await writer.put(chunk);
+        }
+        await writer.put(dataDescriptor(crc, size));
+      } catch (err) {
+        writer.offset = start;
+        if (!Buffer.isBuffer(source) && typeof source.destroy === 'function') source.destroy();
+        throw err;
+      }
+
+      const entry = { name, crc, size, offset: start, end: writer.offset, date: when.toISOString() };
+      writer.entries.push(entry);
+      return entry;
+    },
+
+    // Write the central directory; returns the archive's size
+    async finish() {
+      const directoryOffset = writer.offset;
+      await writer.put(Buffer.concat(writer.entries.map(centralHeader)));
+      const directorySize = writer.offset - directoryOffset;
+      await writer.put(endOfCentralDirectory(writer.entries.length, directorySize, directoryOffset));
+      return writer.offset;
+    }
+  };
+  return writer;
+}
+
+module.exports = {
+  crc32,
+  createZipWriter
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Check the OCR tag rules against sample OCR outputs, or try them on a piece of text.
+ *
+ * Usage:
+ *   node scripts/check-ocr-rules.js [--rules=config/ocr-rules.json] [--samples=scripts/fixtures/ocr-samples.json]
+ *   node scripts/check-ocr-rules.js --text="Front Row: Jane Doe, Mary Smith"
+ *
+ * Rules default to OCR_RULES_PATH (or config/ocr-rules.json). Each sample is
+ * { name, text, expected: [tags] }; the script lists the samples whose tags differ and exits with
+ * status 1 if any do. Run it after changing the rules, and add a sample for each new layout.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const { generateOCRTags, loadOCRRules } = require('../lib/ocr-rules');
+
+const DEFAULT_SAMPLES_PATH = path.join(__dirname, 'fixtures', 'ocr-samples.json');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const rules = await loadOCRRules(args.rules ? path.resolve(args.rules) : undefined);
+
+  if (typeof args.text === 'string') {
+    generateOCRTags(args.text, rules).forEach(tag => console.log(tag));
+    return;
+  }
+
+  const samplesPath = path.resolve(args.samples || DEFAULT_SAMPLES_PATH);
+  const samples = JSON.parse(fs.readFileSync(samplesPath, 'utf8'));
+  let failed = 0;
+
+  samples.forEach(sample => {
+    const tags = generateOCRTags(sample.text, rules);
+    if (sameTags(tags, sample.expected)) {
+      console.log(`ok    ${sample.name}`);
+      return;
+    }
+    failed++;
+    console.log(`FAIL  ${sample.name}`);
+    console.log(`        expected: ${JSON.stringify(sample.expected)}`);
+    console.log(`        got:      ${JSON.stringify(tags)}`);
+  });
+
+  console.log(`\n${samples.length - failed}/${samples.length} samples match`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('OCR rules check failed:', err.message);
+  process.exit(1);
+});
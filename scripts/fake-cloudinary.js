@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Cloudinary API, for exercising the index sync job (and other
+ * server-side Cloudinary calls) without touching the real account or its rate limits.
+ *
+ * Usage:
+ *   node scripts/fake-cloudinary.js [--port=4010] [--fixtures=scripts/fixtures/cloudinary-resources.json]
+ *
+ * Then point the app at it:
+ *   CLOUDINARY_API_BASE=http://localhost:4010 node scripts/sync-index.js
+ *
+ * Supported, with Basic auth:
+ * - POST /v1_1/:cloud/resources/search, paging via next_cursor, `created_at>="..."` filters and
+ *   `folder:` clauses (`-folder:` excludes; other expression clauses are ignored)
+ * - GET and POST (update `tags`, `context`, `asset_folder`) /v1_1/:cloud/resources/:type/upload/:public_id
+ * And signed (the api_key is checked, the signature is not):
+ * - POST /v1_1/:cloud/:type/rename
+ * - POST /v1_1/:cloud/:type/destroy
+ * And delivery, for /api/download (CLOUDINARY_DELIVERY_BASE=http://localhost:4010):
+ * - GET /:cloud/:type/upload/[transformation/][v123/]:public_id.:format, with Range requests. The
+ *   file is a few KB of text naming the asset and transformation, not the real media
+ * Changes are kept in memory until the server stops.
+ */
+
+require('dotenv').config();
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = parseInt(args.port || process.env.FAKE_CLOUDINARY_PORT || '4010', 10);
+const fixturesPath = path.resolve(args.fixtures || path.join(__dirname, 'fixtures', 'cloudinary-resources.json'));
+const resources = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('error', reject);
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (e) {
+        reject(new Error(`Invalid JSON: ${e.message}`));
+      }
+    });
+  });
+}
+
+// Accept the credentials from the environment when they are set, anything otherwise
+function isAuthorized(req) {
+  const expectedKey = process.env.CLOUDINARY_API_KEY;
+  const expectedSecret = process.env.CLOUDINARY_API_SECRET;
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return false;
+  if (!expectedKey || !expectedSecret) return true;
+  return Buffer.from(header.slice(6), 'base64').toString() === `${expectedKey}:${expectedSecret}`;
+}
+
+function resourceFolder(resource) {
+  if (resource.asset_folder !== undefined) return resource.asset_folder;
+  if (resource.folder !== undefined) return resource.folder;
+  const publicId = resource.public_id;
+  return publicId.includes('/') ? publicId.slice(0, publicId.lastIndexOf('/')) : '';
+}
+
+// `folder:a` is that folder, `folder:a/*` anything below it
+function inFolder(resource, value) {
+  const folder = resourceFolder(resource);
+  const wanted = value.replace(/^"|"$/g, '');
+  return wanted.endsWith('/*') ? folder.startsWith(wanted.slice(0, -1)) : folder === wanted;
+}
+
+function search(body) {
+  const expression = body.expression || '';
+  const maxResults = Math.min(parseInt(body.max_results, 10) || 50, 500);
+  const offset = body.next_cursor ? parseInt(Buffer.from(body.next_cursor, 'base64').toString(), 10) || 0 : 0;
+
+  let matches = resources.slice();
+  const createdFrom = expression.match(/created_at>="([^"]+)"/);
+  if (createdFrom) {
+    const from = new Date(createdFrom[1]);
+    matches = matches.filter(r => new Date(r.created_at) >= from);
+  }
+  // Positive folder clauses are treated as alternatives, negated ones as exclusions
+  const folderClauses = [...expression.matchAll(/(-?)folder:("[^"]*"|[^\s)]+)/g)];
+  const included = folderClauses.filter(clause => !clause[1]).map(clause => clause[2]);
+  const excluded = folderClauses.filter(clause => clause[1]).map(clause => clause[2]);
+  if (included.length > 0) matches = matches.filter(r => included.some(value => inFolder(r, value)));
+  matches = matches.filter(r => !excluded.some(value => inFolder(r, value)));
+  matches.sort((a, b) => a.public_id.localeCompare(b.public_id));
+
+  const page = matches.slice(offset, offset + maxResults);
+  const next = offset + maxResults < matches.length
+    ? Buffer.from(String(offset + maxResults)).toString('base64')
+    : undefined;
+
+  return { total_count: matches.length, resources: page, next_cursor: next };
+}
+
+function findResource(resourceType, publicId) {
+  return resources.find(r => r.public_id === publicId && (r.resource_type || 'image') === resourceType);
+}
+
+// Admin API update: `tags` replaces all tags, `context` sets keys (an empty value removes one)
+function updateResource(resource, params) {
+  if (params.tags !== undefined) {
+    resource.tags = String(params.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (params.context !== undefined) {
+    const context = { ...((resource.context && resource.context.custom) || resource.context || {}) };
+    String(params.context).split(/(?<!\\)\|/).forEach(pair => {
+      const [key, ...rest] = pair.split(/(?<!\\)=/);
+      const value = rest.join('=').replace(/\\([|=])/g, '$1');
+      if (value) context[key] = value;
+      else delete context[key];
+    });
+    resource.context = context;
+  }
+  if (params.asset_folder !== undefined) resource.asset_folder = params.asset_folder;
+  return resource;
+}
+
+function renameResource(resourceType, params) {
+  const resource = findResource(resourceType, params.from_public_id);
+  if (!resource) return [404, { error: { message: `Resource not found - ${params.from_public_id}` } }];
+  if (findResource(resourceType, params.to_public_id)) {
+    return [409, { error: { message: `Resource already exists - ${params.to_public_id}` } }];
+  }
+  resource.public_id = params.to_public_id;
+  if (resource.asset_folder === undefined) {
+    resource.folder = params.to_public_id.includes('/') ? params.to_public_id.slice(0, params.to_public_id.lastIndexOf('/')) : '';
+  }
+  return [200, resource];
+}
+
+function destroyResource(resourceType, params) {
+  const resource = findResource(resourceType, params.public_id);
+  if (!resource) return [200, { result: 'not found' }];
+  resources.splice(resources.indexOf(resource), 1);
+  return [200, { result: 'ok' }];
+}
+
+const DELIVERY_BYTES = 4096;
+const CONTENT_TYPES = { jpg: 'image/jpeg', png: 'image/png', pdf: 'application/pdf', mp4: 'video/mp4', mp3: 'audio/mpeg' };
+
+// A delivery URL's path after `upload/`: the public_id is the longest tail naming a resource
+function findDelivered(resourceType, rest) {
+  const segments = rest.split('/').map(decodeURIComponent);
+  for (let i = 0; i < segments.length; i++) {
+    const tail = segments.slice(i).join('/');
+    const dot = tail.lastIndexOf('.');
+    if (dot === -1) continue;
+    const resource = findResource(resourceType, tail.slice(0, dot));
+    if (resource) {
+      return { resource, transformation: segments.slice(0, i).filter(s => !/^v\d+$/.test(s)).join('/'), format: tail.slice(dot + 1) };
+    }
+  }
+  return null;
+}
+
+function sendDelivery(req, res, { resource, transformation, format }) {
+  const line = `${resource.public_id} ${transformation || 'original'} ${format}\n`;
+  const body = Buffer.from(line.repeat(Math.ceil(DELIVERY_BYTES / line.length))).subarray(0, DELIVERY_BYTES);
+  const headers = { 'Content-Type': CONTENT_TYPES[format] || 'application/octet-stream', 'Accept-Ranges': 'bytes' };
+
+  const range = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!range || (!range[1] && !range[2])) {
+    res.writeHead(200, { ...headers, 'Content-Length': body.length });
+    res.end(body);
+    return;
+  }
+  const start = range[1] === '' ? Math.max(0, body.length - parseInt(range[2], 10)) : parseInt(range[1], 10);
+  const end = range[1] === '' || range[2] === '' ? body.length - 1 : Math.min(parseInt(range[2], 10), body.length - 1);
+  if (start >= body.length || start > end) {
+    res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+    res.end();
+    return;
+  }
+  res.writeHead(206, { ...headers, 'Content-Length': end - start + 1, 'Content-Range': `bytes ${start}-${end}/${body.length}` });
+  res.end(body.subarray(start, end + 1));
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${pathname}`);
+
+  try {
+    const uploadApiMatch = pathname.match(/^\/v1_1\/[^/]+\/(image|video|raw)\/(rename|destroy)$/);
+    if (req.method === 'POST' && uploadApiMatch) {
+      const params = await readJsonBody(req);
+      const expectedKey = process.env.CLOUDINARY_API_KEY;
+      if (!params.signature || (expectedKey && params.api_key !== expectedKey)) {
+        sendJson(res, 401, { error: { message: 'Invalid Signature' } });
+        return;
+      }
+      const [resourceType, action] = uploadApiMatch.slice(1);
+      sendJson(res, ...(action === 'rename' ? renameResource(resourceType, params) : destroyResource(resourceType, params)));
+      return;
+    }
+
+    // Delivery URLs are public, like the CDN's
+    const deliveryMatch = pathname.match(/^\/[^/]+\/(image|video|raw)\/upload\/(.+)$/);
+    if (req.method === 'GET' && deliveryMatch) {
+      const delivered = findDelivered(deliveryMatch[1], deliveryMatch[2]);
+      if (!delivered) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+      }
+      sendDelivery(req, res, delivered);
+      return;
+    }
+
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { error: { message: 'Invalid credentials' } });
+      return;
+    }
+
+    if (req.method === 'POST' && /^\/v1_1\/[^/]+\/resources\/search$/.test(pathname)) {
+      sendJson(res, 200, search(await readJsonBody(req)));
+      return;
+    }
+    const resourceMatch = pathname.match(/^\/v1_1\/[^/]+\/resources\/(image|video|raw)\/upload\/(.+)$/);
+    if (resourceMatch && (req.method === 'GET' || req.method === 'POST')) {
+      const resource = findResource(resourceMatch[1], decodeURIComponent(resourceMatch[2]));
+      if (!resource) {
+        sendJson(res, 404, { error: { message: `Resource not found - ${decodeURIComponent(resourceMatch[2])}` } });
+        return;
+      }
+      sendJson(res, 200, req.method === 'POST' ? updateResource(resource, await readJsonBody(req)) : resource);
+      return;
+    }
+    sendJson(res, 404, { error: { message: `No stand-in for ${req.method} ${pathname}` } });
+  } catch (err) {
+    sendJson(res, 400, { error: { message: err.message } });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Fake Cloudinary listening on http://localhost:${port} with ${resources.length} resources from ${fixturesPath}`);
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Run OCR tagging on every image that doesn't have the `ocr_indexed` tag yet, e.g. after
+ * uploads made straight from the browser or the Cloudinary console, or after a failed webhook.
+ *
+ * Usage:
+ *   node scripts/ocr-backfill.js [--dry-run] [--limit=N] [--force]
+ *
+ *   --dry-run  list the images that would be processed, without changing anything
+ *   --limit=N  process at most N images
+ *   --force    re-process every image, tagged or not
+ *
+ * Images are processed one at a time; the script can be stopped and run again, since
+ * finished images are tagged and skipped next time.
+ */
+
+require('dotenv').config();
+const { getCloudinaryConfig, searchResources } = require('../lib/cloudinary-search');
+const { OCR_MARKER_TAG, processAsset } = require('../lib/ocr');
+
+const PAGE_SIZE = 500;
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+// All matching public ids, collected before processing: tagging changes the result set, which
+// would upset cursor paging
+async function findPending(config, { force, limit }) {
+  const expression = 'resource_type:image AND -format:pdf' + (force ? '' : ` AND -tags:${OCR_MARKER_TAG}`);
+  const publicIds = [];
+  let cursor;
+
+  do {
+    const body = { expression, max_results: PAGE_SIZE, sort_by: [{ public_id: 'asc' }] };
+    if (cursor) body.next_cursor = cursor;
+    const data = await searchResources(body, config);
+    (data.resources || []).forEach(resource => publicIds.push(resource.public_id));
+    cursor = data.next_cursor;
+  } while (cursor && publicIds.length < limit);
+
+  return publicIds.slice(0, limit);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getCloudinaryConfig();
+
+  if (!config) {
+    console.error('Missing Cloudinary environment variables (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET)');
+    process.exit(1);
+  }
+
+  const limit = args.limit === undefined ? Infinity : parseInt(args.limit, 10);
+  if (!(limit > 0)) {
+    console.error('--limit must be a positive number');
+    process.exit(1);
+  }
+  const force = Boolean(args.force);
+
+  const publicIds = await findPending(config, { force, limit });
+  console.log(`${publicIds.length} image(s) to process${force ? ' (forced)' : ` without the ${OCR_MARKER_TAG} tag`}`);
+
+  if (args['dry-run']) {
+    publicIds.forEach(publicId => console.log(`  ${publicId}`));
+    return;
+  }
+
+  const counts = { processed: 0, already_indexed: 0, skipped: 0, failed: 0 };
+  for (let i = 0; i < publicIds.length; i++) {
+    const prefix = `[${i + 1}/${publicIds.length}] ${publicIds[i]}`;
+    try {
+      const result = await processAsset(publicIds[i], { force, config });
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      const detail = result.status === 'processed' ? ` (${result.tags.length} tags, ${result.text_length} chars)` : '';
+      console.log(`${prefix}: ${result.status}${detail}`);
+    } catch (err) {
+      counts.failed++;
+      console.error(`${prefix}: failed - ${err.message}`);
+    }
+  }
+
+  console.log(`Done: ${counts.processed} processed, ${counts.already_indexed} already indexed, ` +
+    `${counts.skipped} skipped, ${counts.failed} failed`);
+  if (counts.failed > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('OCR backfill failed:', err.message);
+  process.exit(1);
+});
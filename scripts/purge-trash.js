@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Delete for good the assets that have been in the trash (lib/trash.js) longer than the
+ * retention window. Run it on a schedule, e.g. daily from cron.
+ *
+ * Usage:
+ *   node scripts/purge-trash.js [--dry-run] [--days=N]
+ *
+ *   --dry-run  list what would be deleted, without deleting anything
+ *   --days=N   retention window in days (default TRASH_RETENTION_DAYS, or 30)
+ *
+ * Trashed assets without a `deleted_at` are never purged; restore or delete those by hand.
+ */
+
+require('dotenv').config();
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+const { isExpired, listTrash, purgeAsset, retentionDays } = require('../lib/trash');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+// Every trashed asset, collected before deleting: purging changes the result set, which would
+// upset cursor paging
+async function listAllTrash(config) {
+  const assets = [];
+  let cursor;
+  do {
+    const page = await listTrash({ cursor, maxResults: 500 }, config);
+    assets.push(...page.assets);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return assets;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getCloudinaryConfig();
+
+  if (!config) {
+    console.error('Missing Cloudinary environment variables (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET)');
+    process.exit(1);
+  }
+
+  const days = args.days === undefined ? retentionDays() : parseInt(args.days, 10);
+  if (!(days > 0)) {
+    console.error('--days must be a positive number');
+    process.exit(1);
+  }
+
+  const trashed = await listAllTrash(config);
+  const now = Date.now();
+  const expired = trashed.filter(asset => isExpired(asset, now, days));
+  const undated = trashed.filter(asset => !asset.deleted);
+  console.log(`${trashed.length} asset(s) in the trash, ${expired.length} trashed more than ${days} day(s) ago`);
+  if (undated.length > 0) {
+    console.warn(`${undated.length} trashed asset(s) have no deleted_at and are kept: ${undated.map(a => a.public_id).join(', ')}`);
+  }
+
+  if (args['dry-run']) {
+    expired.forEach(asset => console.log(`  ${asset.public_id} (deleted ${asset.deleted.at} by ${asset.deleted.by})`));
+    return;
+  }
+
+  let failed = 0;
+  for (let i = 0; i < expired.length; i++) {
+    const asset = expired[i];
+    const prefix = `[${i + 1}/${expired.length}] ${asset.public_id}`;
+    try {
+      await purgeAsset(asset, { by: 'purge-trash', config });
+      console.log(`${prefix}: deleted (trashed ${asset.deleted.at} by ${asset.deleted.by})`);
+    } catch (err) {
+      failed++;
+      console.error(`${prefix}: failed - ${err.message}`);
+    }
+  }
+
+  console.log(`Done: ${expired.length - failed} deleted, ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('Trash purge failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Sync the local search index from Cloudinary.
+ *
+ * Usage:
+ *   node scripts/sync-index.js [--incremental] [--backend=json] [--path=data/search-index.json]
+ *
+ * Backend and path default to SEARCH_INDEX_BACKEND (or `json`) and SEARCH_INDEX_PATH.
+ * Set CLOUDINARY_API_BASE to sync from a local stand-in server (scripts/fake-cloudinary.js).
+ */
+
+require('dotenv').config();
+const { createSearchIndex } = require('../lib/search-index');
+const { syncIndex } = require('../lib/index-sync');
+const { getCloudinaryConfig } = require('../lib/cloudinary-search');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getCloudinaryConfig();
+
+  if (!config) {
+    console.error('Missing Cloudinary environment variables (CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET)');
+    process.exit(1);
+  }
+
+  const backend = args.backend || process.env.SEARCH_INDEX_BACKEND || 'json';
+  const index = createSearchIndex(backend, { path: args.path });
+  await index.load();
+
+  console.log(`Syncing ${backend} index${index.filePath ? ` at ${index.filePath}` : ''} from ${config.apiBase}`);
+  await syncIndex(index, {
+    config,
+    incremental: Boolean(args.incremental),
+    log: (msg) => console.log(msg)
+  });
+}
+
+main().catch(err => {
+  console.error('Index sync failed:', err.message);
+  process.exit(1);
+});
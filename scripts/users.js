@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Manage user accounts in the user store (USERS_PATH, default data/users.json).
+ * Use it to create the first admin; after that admins can also use /api/users.
+ *
+ * Usage:
+ *   node scripts/users.js list
+ *   node scripts/users.js add <username> --role=viewer|uploader|curator|admin
+ *   node scripts/users.js set-password <username>
+ *   node scripts/users.js set-role <username> <role>
+ *   node scripts/users.js disable|enable <username>
+ *   node scripts/users.js revoke <username>      end all of the user's sessions (and share links)
+ *   node scripts/users.js revoke-shares <username>   withdraw the user's share links only
+ *   node scripts/users.js remove <username>
+ *
+ * Passwords are read from the USER_PASSWORD environment variable or prompted for.
+ * Pass --path=<file> to use a different store.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { createUserStore, publicUser, ROLES, UserError } = require('../lib/users');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+    else args._.push(arg);
+  }
+  return args;
+}
+
+// Prompt without echoing what is typed
+function promptPassword(question) {
+  if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function printUser(user) {
+  const { username, role, disabled, updated_at } = publicUser(user);
+  console.log(`${username.padEnd(24)} ${role.padEnd(9)} ${disabled ? 'disabled' : 'active  '} updated ${updated_at}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, username, value] = args._;
+  const store = createUserStore({ path: args.path });
+
+  switch (command) {
+    case 'list': {
+      const users = await store.list();
+      if (users.length === 0) console.log(store.filePath ? `No users in ${store.filePath}` : 'No users');
+      users.forEach(printUser);
+      return;
+    }
+    case 'add': {
+      const role = args.role || 'viewer';
+      const password = await promptPassword(`Password for ${username}: `);
+      printUser(await store.create({ username, password, role }));
+      return;
+    }
+    case 'set-password':
+      printUser(await store.setPassword(username, await promptPassword(`New password for ${username}: `)));
+      return;
+    case 'set-role':
+      printUser(await store.setRole(username, value));
+      return;
+    case 'disable':
+    case 'enable':
+      printUser(await store.setDisabled(username, command === 'disable'));
+      return;
+    case 'revoke':
+      printUser(await store.revokeSessions(username));
+      return;
+    case 'revoke-shares':
+      printUser(await store.revokeShares(username));
+      return;
+    case 'remove':
+      if (!(await store.remove(username))) throw new UserError(404, `User "${username}" not found`);
+      console.log(`Removed ${username}`);
+      return;
+    default:
+      console.error(`Usage: node scripts/users.js <list|add|set-password|set-role|disable|enable|revoke|revoke-shares|remove> [username] [--role=${ROLES.join('|')}]`);
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error(err instanceof UserError ? err.message : `User command failed: ${err.message}`);
+  process.exit(1);
+});
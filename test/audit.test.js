@@ -0,0 +1,41 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { callHandler } = require('./helpers');
+
+const { createHandler } = require('../lib/http');
+
+const ENV = { NODE_ENV: process.env.NODE_ENV, AUDIT_SINK: process.env.AUDIT_SINK, VERCEL: process.env.VERCEL };
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(ENV)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+const handler = createHandler({ name: 'Test', methods: ['GET'], checkOrigin: false, rateLimit: false, audit: 'test' },
+  async (req, res) => res.status(200).json({ ok: true }));
+
+const unaudited = createHandler({ name: 'Test', methods: ['GET'], checkOrigin: false, rateLimit: false },
+  async (req, res) => res.status(200).json({ ok: true }));
+
+async function statusWith(env, target = handler) {
+  Object.assign(process.env, env);
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+  }
+  const { status, body } = await callHandler(target);
+  return status === 200 ? 200 : `${status} ${body.code}`;
+}
+
+test('production needs AUDIT_SINK set', async () => {
+  assert.strictEqual(await statusWith({ NODE_ENV: 'production', AUDIT_SINK: undefined }), '500 CONFIG_ERROR');
+  assert.strictEqual(await statusWith({ NODE_ENV: 'production', AUDIT_SINK: undefined }, unaudited), 200);
+  assert.strictEqual(await statusWith({ NODE_ENV: 'production', AUDIT_SINK: 'console' }), 200);
+});
+
+test('sinks that lose entries are refused where they would', async () => {
+  assert.strictEqual(await statusWith({ NODE_ENV: 'production', AUDIT_SINK: 'memory' }), '500 CONFIG_ERROR');
+  assert.strictEqual(await statusWith({ VERCEL: '1', AUDIT_SINK: 'file' }), '500 CONFIG_ERROR');
+  assert.strictEqual(await statusWith({ NODE_ENV: 'production', AUDIT_SINK: 'none' }), 200);
+});
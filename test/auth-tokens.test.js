@@ -0,0 +1,78 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { callHandler } = require('./helpers');
+
+const sessionHandler = require('../api/session');
+const { issueSession } = require('../lib/auth');
+const { signDownloadToken } = require('../lib/download');
+const { describeSharedAsset, FILE_TOKEN, signShare, verifyShareToken } = require('../lib/share');
+const { getUserStore } = require('../lib/users');
+
+const ASSET = {
+  public_id: 'composites/tap_1700000000000_1998_composite',
+  resource_type: 'image',
+  media_type: 'image',
+  format: 'jpg',
+  version: 1
+};
+
+let curator;
+
+before(async () => {
+  curator = await getUserStore().create({ username: 'curator', password: 'curatorpassword', role: 'curator' });
+});
+
+const getSession = token => callHandler(sessionHandler, { headers: { authorization: `Bearer ${token}` } });
+
+test('a session token signs in', async () => {
+  const { status, body } = await getSession(issueSession(curator).token);
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.user.username, 'curator');
+});
+
+test('a share token is not a session', async () => {
+  const { token } = signShare(curator, { expiresInDays: 7, download: true, assets: [ASSET] });
+  const { status, body } = await getSession(token);
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.code, 'INVALID_SESSION');
+});
+
+test('a share file token is not a session', async () => {
+  const share = signShare(curator, { expiresInDays: 7, download: true, assets: [ASSET] });
+  const { claims } = await verifyShareToken(share.token);
+  const described = describeSharedAsset(claims, ASSET, (preset, token) => token);
+  for (const token of [described.thumbnail_url, described.preview_url, described.download_url]) {
+    await verifyShareToken(token, FILE_TOKEN);
+    const { status } = await getSession(token);
+    assert.strictEqual(status, 401);
+  }
+});
+
+test('a download token is not a session', async () => {
+  const { token } = signDownloadToken(curator, { pid: ASSET.public_id, rt: 'image', preset: 'original' });
+  const { status } = await getSession(token);
+  assert.strictEqual(status, 401);
+});
+
+test('revoking share links withdraws them and leaves sessions alone', async () => {
+  const session = issueSession(curator).token;
+  const share = signShare(curator, { expiresInDays: 7, download: false, assets: [ASSET] });
+  const { claims } = await verifyShareToken(share.token);
+  const fileToken = describeSharedAsset(claims, ASSET, (preset, token) => token).preview_url;
+
+  await getUserStore().revokeShares('curator');
+  await assert.rejects(verifyShareToken(share.token), { status: 401 });
+  await assert.rejects(verifyShareToken(fileToken, FILE_TOKEN), { status: 401 });
+  assert.strictEqual((await getSession(session)).status, 200);
+
+  // Links made afterwards work
+  const fresh = signShare(await getUserStore().get('curator'), { expiresInDays: 7, download: false, assets: [ASSET] });
+  await verifyShareToken(fresh.token);
+});
+
+test('revoking sessions withdraws share links too', async () => {
+  const share = signShare(await getUserStore().get('curator'), { expiresInDays: 7, download: false, assets: [ASSET] });
+  await getUserStore().revokeSessions('curator');
+  await assert.rejects(verifyShareToken(share.token), { status: 401 });
+  curator = await getUserStore().get('curator');
+});
@@ -0,0 +1,31 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { callHandler } = require('./helpers');
+
+const exportHandler = require('../api/export');
+const { issueSession } = require('../lib/auth');
+const { getUserStore } = require('../lib/users');
+
+let headers;
+
+before(async () => {
+  const viewer = await getUserStore().create({ username: 'viewer', password: 'viewerpassword', role: 'viewer' });
+  headers = { authorization: `Bearer ${issueSession(viewer).token}` };
+});
+
+test('a streamed export reports a query without letters or digits like /api/search', async () => {
+  const { status, body } = await callHandler(exportHandler, { query: { q: '...' }, headers });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'QUERY_SYNTAX_ERROR');
+  assert.strictEqual(body.details.position, 0);
+});
+
+test('an export job is refused for the same query', async () => {
+  const { status, body } = await callHandler(exportHandler, {
+    method: 'POST',
+    body: { q: 'composite OR &&&', mode: 'fulltext', fuzzy: '1' },
+    headers: { ...headers, 'content-type': 'application/json' }
+  });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'QUERY_SYNTAX_ERROR');
+});
@@ -0,0 +1,66 @@
+/**
+ * Test helpers: a scratch data directory, set up before any lib/ module reads its path from the
+ * environment, and a way to call an api/ handler the way Vercel would.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudinary-search-test-'));
+
+Object.assign(process.env, {
+  AUTH_SECRET: 'test-secret-test-secret-test-secret!',
+  USERS_PATH: path.join(dataDir, 'users.json'),
+  SAVED_SEARCHES_PATH: path.join(dataDir, 'saved-searches.json'),
+  AUDIT_SINK: 'memory',
+  RATE_LIMIT_STORE: 'none',
+  // Nothing may reach Cloudinary: a request that gets that far fails instead
+  CLOUDINARY_CLOUD_NAME: 'test',
+  CLOUDINARY_API_KEY: 'key',
+  CLOUDINARY_API_SECRET: 'secret',
+  CLOUDINARY_API_BASE: 'http://127.0.0.1:9'
+});
+delete process.env.SEARCH_INDEX_BACKEND;
+
+/**
+ * Call a handler with a fake request; resolves with { status, headers, body } (body parsed as
+ * JSON when it is JSON).
+ */
+function callHandler(handler, { method = 'GET', query = {}, headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const responseHeaders = {};
+    const chunks = [];
+    const req = {
+      method,
+      query,
+      body,
+      headers: { host: 'localhost', ...headers },
+      socket: { remoteAddress: '127.0.0.1' }
+    };
+    const res = {
+      statusCode: 200,
+      headersSent: false,
+      setHeader(name, value) { responseHeaders[name.toLowerCase()] = value; },
+      getHeader(name) { return responseHeaders[name.toLowerCase()]; },
+      writeHead(status) { this.statusCode = status; this.headersSent = true; },
+      write(chunk) { this.headersSent = true; chunks.push(Buffer.from(chunk)); },
+      end(chunk) {
+        if (chunk) chunks.push(Buffer.from(chunk));
+        this.headersSent = true;
+        const text = Buffer.concat(chunks).toString();
+        let parsed = text;
+        try {
+          parsed = JSON.parse(text);
+        } catch (err) {
+          // not JSON
+        }
+        resolve({ status: this.statusCode, headers: responseHeaders, body: parsed });
+      },
+      on() {}
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+module.exports = { callHandler, dataDir };
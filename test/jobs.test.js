@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { dataDir } = require('./helpers');
+
+const { createJobStore, runJob } = require('../lib/jobs');
+
+const ITEMS = ['a', 'b', 'c'].map(id => ({ public_id: id, resource_type: 'image' }));
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const createStore = name => createJobStore({ path: path.join(dataDir, `${name}.json`) });
+
+test('only one of two calls at once gets the lease', async () => {
+  const store = createStore('jobs-lease');
+  const job = await store.create({ type: 'test', operation: 'noop', params: {}, items: ITEMS });
+  const processItem = async () => {
+    await tick();
+    return { status: 'done' };
+  };
+  const results = await Promise.allSettled([runJob(store, job.id, processItem), runJob(store, job.id, processItem)]);
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'JOB_RUNNING');
+  assert.strictEqual((await store.get(job.id)).status, 'done');
+});
+
+test('jobs run at once keep each other\'s progress', async () => {
+  const store = createStore('jobs-parallel');
+  const first = await store.create({ type: 'test', operation: 'noop', params: {}, items: ITEMS });
+  const second = await store.create({ type: 'test', operation: 'noop', params: {}, items: ITEMS });
+  const processItem = async () => {
+    await tick();
+    return { status: 'done' };
+  };
+  await Promise.all([runJob(store, first.id, processItem), runJob(store, second.id, processItem)]);
+  for (const { id } of [first, second]) {
+    const job = await store.get(id);
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.counts.done, ITEMS.length);
+  }
+});
+
+test('a call whose lease ran out can\'t save over the call that took over', async () => {
+  const store = createStore('jobs-takeover');
+  const job = await store.create({ type: 'test', operation: 'noop', params: {}, items: ITEMS });
+  const stale = runJob(store, job.id, async () => {
+    // The lease runs out while the first item is being worked on, and another call takes it
+    const current = await store.get(job.id);
+    await store.save({ ...current, lease_id: 'other', lease_until: new Date(Date.now() + 60000).toISOString() });
+    return { status: 'done' };
+  });
+  await assert.rejects(stale, { code: 'JOB_RUNNING' });
+  assert.strictEqual((await store.get(job.id)).counts.pending, ITEMS.length);
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+require('./helpers');
+
+const { generateOCRTags, loadOCRRules } = require('../lib/ocr-rules');
+const samples = require('../scripts/fixtures/ocr-samples.json');
+
+// The shipped rules against every sample layout, as `npm run check-ocr-rules` checks them
+const RULES_PATH = path.join(__dirname, '..', 'config', 'ocr-rules.json');
+
+for (const sample of samples) {
+  test(`OCR rules: ${sample.name}`, async () => {
+    const rules = await loadOCRRules(RULES_PATH);
+    assert.deepStrictEqual(generateOCRTags(sample.text, rules), sample.expected);
+  });
+}
@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { dataDir } = require('./helpers');
+
+process.env.OCR_INDEX_PATH = path.join(dataDir, 'ocr-index.json');
+const cloudinary = require('cloudinary').v2;
+const { processAsset } = require('../lib/ocr');
+const { getSearchIndex } = require('../lib/search-index');
+
+const PUBLIC_ID = 'composites/tap_1700000000000_1998_composite';
+const OCR = {
+  adv_ocr: {
+    status: 'complete',
+    data: [{ textAnnotations: [{ description: 'JOHN SMITH' }], fullTextAnnotation: { text: 'JOHN SMITH' } }]
+  }
+};
+
+// Cloudinary as the SDK sees it: one image, whose tags and context change as OCR adds them
+const stored = { public_id: PUBLIC_ID, asset_folder: 'composites', format: 'jpg', width: 100, height: 100, tags: [], context: {} };
+const original = { resource: cloudinary.api.resource, addTag: cloudinary.uploader.add_tag, addContext: cloudinary.uploader.add_context };
+cloudinary.api.resource = async () => JSON.parse(JSON.stringify({ ...stored, resource_type: 'image', type: 'upload', info: { ocr: OCR } }));
+cloudinary.uploader.add_tag = async tags => { stored.tags.push(...tags.split(',')); };
+cloudinary.uploader.add_context = async context => {
+  stored.context.custom = Object.fromEntries(context.split('|').map(pair => pair.split('=')));
+};
+
+after(() => {
+  cloudinary.api.resource = original.resource;
+  cloudinary.uploader.add_tag = original.addTag;
+  cloudinary.uploader.add_context = original.addContext;
+});
+
+test('OCR tagging updates the search index entry', async () => {
+  process.env.SEARCH_INDEX_BACKEND = 'memory';
+  const index = await getSearchIndex();
+  index.upsert([{ public_id: PUBLIC_ID, resource_type: 'image', folder: 'composites', tags: [], context: {} }]);
+
+  const result = await processAsset(PUBLIC_ID);
+  assert.strictEqual(result.status, 'processed');
+  assert.ok(index.get(PUBLIC_ID).tags.includes('ocr_indexed'));
+  assert.deepStrictEqual(index.get(PUBLIC_ID).tags, stored.tags);
+  assert.ok(index.get(PUBLIC_ID).context.ocr_text);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { compileExpression, compilePredicate, parseQuery, QuerySyntaxError } = require('../lib/search-query');
+
+const compile = (query, mode) => compileExpression(parseQuery(query), { mode });
+
+const resource = (tags, context = {}) => ({
+  public_id: 'composites/example',
+  resource_type: 'image',
+  format: 'jpg',
+  folder: 'composites',
+  tags,
+  context
+});
+
+const matches = (query, target, mode) => compilePredicate(parseQuery(query), { mode })(target);
+
+test('field values are quoted, and prefix matches escape reserved characters', () => {
+  assert.strictEqual(compile('tag:"B&B"'), 'tags:"B&B"');
+  assert.strictEqual(compile('tag:b&b*'), 'tags:b\\&b*');
+  assert.strictEqual(compile('name:mary-jo*'), 'context.name:mary\\-jo*');
+  assert.strictEqual(compile("name:o'neil*"), "context.name:o'neil*");
+  assert.strictEqual(compile('folder:Archives/*'), 'folder:"Archives/*"');
+});
+
+test('bare text is a tag in tags mode and a prefix match on every field in fulltext mode', () => {
+  assert.strictEqual(compile('Homecoming'), 'tags:"Homecoming"');
+  assert.strictEqual(
+    compile('smi', 'fulltext'),
+    '(tags:smi* OR context.name:smi* OR context.tapYear:smi* OR context.caption:smi* OR context.alt:smi* OR context.raw_description:smi* OR context.ocr_text:smi*)'
+  );
+  assert.strictEqual(compile('year:1998 -tag:draft'), '(context.tapYear:"1998" AND (NOT tags:"draft"))');
+});
+
+test('hostile input is refused rather than passed through', () => {
+  const refused = [
+    'tag:x*) OR (format:jpg',
+    'tag:a:b*',
+    'tag:a\\b*',
+    'tag:"x\\" OR tags:y*"',
+    'folder:../secret',
+    'public_id:*',
+    '"unterminated',
+    '((((((((((a))))))))))',
+    '...',
+    'x'.repeat(501)
+  ];
+  for (const query of refused) {
+    assert.throws(() => compile(query, 'fulltext'), QuerySyntaxError, query);
+  }
+});
+
+test('the local predicate agrees with the compiled expression', () => {
+  const bnb = resource(['B&B weekend'], { name: "Mary-Jo O'Neil", tapYear: '1998' });
+  assert.ok(matches('tag:b&b*', bnb));
+  assert.ok(matches('name:mary*', bnb));
+  assert.ok(matches('"B&B weekend"', bnb));
+  assert.ok(!matches('weekend', bnb));
+  assert.ok(matches('weekend', bnb, 'fulltext'));
+  assert.ok(matches('neil year:1998', bnb, 'fulltext'));
+  assert.ok(!matches('neil -year:1998', bnb, 'fulltext'));
+  assert.ok(!matches('tag:draft', bnb));
+});
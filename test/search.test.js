@@ -0,0 +1,24 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { callHandler } = require('./helpers');
+
+const searchHandler = require('../api/search');
+const { issueSession } = require('../lib/auth');
+const { getUserStore } = require('../lib/users');
+
+let headers;
+
+before(async () => {
+  const viewer = await getUserStore().create({ username: 'viewer', password: 'viewerpassword', role: 'viewer' });
+  headers = { authorization: `Bearer ${issueSession(viewer).token}` };
+});
+
+test('text without letters or digits is a query syntax error', async () => {
+  for (const q of ['...', '&&&', 'john OR ...', '-!!']) {
+    for (const mode of ['tags', 'fulltext']) {
+      const { status, body } = await callHandler(searchHandler, { query: { q, mode }, headers });
+      assert.strictEqual(status, 400, `${q} (${mode})`);
+      assert.strictEqual(body.code, 'QUERY_SYNTAX_ERROR');
+    }
+  }
+});
@@ -0,0 +1,53 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+
+const { getSavedSearchStore } = require('../lib/saved-searches');
+const { getSearchIndex } = require('../lib/search-index');
+const { findSharedAssets, signShare, verifyShareToken } = require('../lib/share');
+const { getUserStore } = require('../lib/users');
+
+const resource = (publicId, tags, caption) => ({
+  public_id: publicId,
+  resource_type: 'image',
+  type: 'upload',
+  format: 'jpg',
+  version: 1,
+  created_at: '2024-05-01T00:00:00Z',
+  folder: 'composites',
+  tags,
+  context: { caption }
+});
+
+let curator;
+
+before(async () => {
+  curator = await getUserStore().create({ username: 'curator', password: 'curatorpassword', role: 'curator' });
+  process.env.SEARCH_INDEX_BACKEND = 'memory';
+  const index = await getSearchIndex();
+  index.upsert([
+    resource('composites/tagged', ['reunion'], 'Group photo'),
+    resource('composites/captioned', ['alumni'], 'At the reunion')
+  ]);
+  index.setMeta({ last_synced_at: new Date().toISOString() });
+});
+
+async function openSharedSearch(state) {
+  const search = await getSavedSearchStore().create({ name: JSON.stringify(state), state, createdBy: 'curator' });
+  const { token } = signShare(curator, { expiresInDays: 7, download: false, search });
+  const { claims } = await verifyShareToken(token);
+  const { assets } = await findSharedAssets(claims);
+  return assets.map(asset => asset.public_id).sort();
+}
+
+test('a shared saved search runs with its saved mode', async () => {
+  assert.deepStrictEqual(await openSharedSearch({ q: 'reunion', mode: 'tags' }), ['composites/tagged']);
+  assert.deepStrictEqual(
+    await openSharedSearch({ q: 'reunion', mode: 'fulltext' }),
+    ['composites/captioned', 'composites/tagged']
+  );
+});
+
+test('a saved search without a mode runs as the search page runs it', async () => {
+  assert.deepStrictEqual(await openSharedSearch({ q: 'reunion' }), ['composites/captioned', 'composites/tagged']);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { dataDir } = require('./helpers');
+
+const { createJsonFile } = require('../lib/json-file');
+const { createSavedSearchStore } = require('../lib/saved-searches');
+const { createUserStore } = require('../lib/users');
+
+test('updates of one file made at once all land', async () => {
+  const filePath = path.join(dataDir, 'counter.json');
+  const file = createJsonFile(filePath, { version: 1, empty: () => ({ count: 0 }) });
+  const other = createJsonFile(filePath, { version: 1, empty: () => ({ count: 0 }) });
+  await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? file : other).update(async ({ count }) => {
+    await new Promise(resolve => setImmediate(resolve));
+    return { count: count + 1 };
+  })));
+  assert.strictEqual((await createJsonFile(filePath, { version: 1 }).read()).count, 20);
+});
+
+test('a failed update leaves the file as it was and the next one runs', async () => {
+  const file = createJsonFile(path.join(dataDir, 'failing.json'), { version: 1, empty: () => ({ count: 0 }) });
+  await assert.rejects(file.update(() => { throw new Error('nope'); }), /nope/);
+  await file.update(({ count }) => ({ count: count + 1 }));
+  assert.strictEqual((await file.read()).count, 1);
+});
+
+test('users created at once are all kept, and a duplicate is refused', async () => {
+  const store = createUserStore({ path: path.join(dataDir, 'parallel-users.json') });
+  const names = ['alice', 'bob', 'carol', 'dave'];
+  const results = await Promise.allSettled(
+    [...names, 'alice'].map(username => store.create({ username, password: 'longpassword', role: 'viewer' }))
+  );
+  assert.deepStrictEqual((await store.list()).map(user => user.username), names.sort());
+  assert.strictEqual(results.filter(result => result.status === 'rejected').length, 1);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.code, 'DUPLICATE_USER');
+});
+
+test('saved searches created at once are all kept', async () => {
+  const store = createSavedSearchStore({ path: path.join(dataDir, 'parallel-searches.json') });
+  await Promise.all(['one', 'two', 'three'].map(name => store.create({ name, state: { q: name } })));
+  assert.deepStrictEqual((await store.list()).map(search => search.name), ['one', 'three', 'two']);
+});
+
+test('the file user store refuses to run on Vercel', () => {
+  process.env.VERCEL = '1';
+  try {
+    assert.throws(() => createUserStore({ path: path.join(dataDir, 'vercel-users.json') }), /can't run on Vercel/);
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseChanges } = require('../lib/assets');
+const { createBulkJob } = require('../lib/bulk');
+const { buildUploadParams } = require('../lib/upload-params');
+
+test('the name is the first tag of an upload', () => {
+  const { params } = buildUploadParams({ type: 'image', name: 'John Smith', tags: ['reunion'] });
+  assert.strictEqual(params.tags, 'John Smith,reunion');
+});
+
+test('a name with a comma is refused, since it would become several tags', () => {
+  assert.throws(() => buildUploadParams({ type: 'image', name: 'Smith, John' }), { code: 'INVALID_PARAMETER' });
+  assert.throws(() => parseChanges({ name: 'Smith, John' }), { code: 'INVALID_PARAMETER' });
+  assert.throws(() => parseChanges({ name: '  ' }), { message: 'name cannot be empty' });
+});
+
+test('a bulk rename can\'t put a comma in names', async () => {
+  const body = {
+    operation: 'rename',
+    params: { find: 'Smith', replace: 'Smith,' },
+    assets: [{ public_id: 'composites/example', resource_type: 'image' }]
+  };
+  await assert.rejects(createBulkJob(body, { username: 'curator' }), { code: 'INVALID_PARAMETER' });
+});